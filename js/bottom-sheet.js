@@ -26,7 +26,15 @@ const BottomSheet = (function () {
   let pendingFilters = {
     jobFamilies: [],
     contractTypes: [],
-    departments: []
+    departments: [],
+    regions: [],
+    dateRange: null,
+    search: '',
+    salaryRange: null,
+    experienceLevels: [],
+    qualifications: [],
+    sectors: [],
+    radius: null
   };
 
   /**
@@ -122,55 +130,58 @@ const BottomSheet = (function () {
     setupDropdownListeners();
   }
 
+  /**
+   * Re-render chips and trigger text of a multi-select from its checkboxes
+   * @param {HTMLElement} wrapper - The .multi-select-container element
+   */
+  function updateChips(wrapper) {
+    if (!wrapper) return;
+    const chipsContainer = wrapper.querySelector('.filter-chips');
+    const dropdown = wrapper.querySelector('.filter-dropdown-menu');
+    const trigger = wrapper.querySelector('.filter-dropdown-trigger');
+
+    if (!chipsContainer || !dropdown || !trigger) return;
+
+    const checkedBoxes = dropdown.querySelectorAll('input:checked');
+
+    // Update Trigger
+    trigger.textContent = checkedBoxes.length > 0
+      ? `${checkedBoxes.length} sélectionné${checkedBoxes.length > 1 ? 's' : ''}`
+      : 'Sélectionner...';
+    trigger.style.borderColor = checkedBoxes.length > 0 ? 'var(--color-primary)' : '';
+
+    // Render Chips
+    chipsContainer.innerHTML = Array.from(checkedBoxes).map(cb => {
+      const text = cb.parentElement.textContent.replace('●', '').trim();
+      return `
+           <span class="filter-chip">
+             ${text}
+             <button class="filter-chip-remove" data-value="${cb.value}">&times;</button>
+           </span>
+         `;
+    }).join('');
+
+    // Remove Handler
+    chipsContainer.querySelectorAll('.filter-chip-remove').forEach(btn => {
+      btn.addEventListener('click', (ev) => {
+        ev.stopPropagation();
+        const val = ev.target.dataset.value;
+        const cb = dropdown.querySelector(`input[value="${val}"]`);
+        if (cb) {
+          cb.checked = false;
+          // Trigger change to update data and UI
+          cb.dispatchEvent(new Event('change', { bubbles: true }));
+        }
+      });
+    });
+  }
+
   /**
    * Setup listeners on cloned checkboxes and autocomplete
    */
   function setupCheckboxListeners() {
     if (!contentEl) return;
 
-    // Generic handler for multi-select chips
-    const updateChips = (wrapper) => {
-      if (!wrapper) return;
-      const chipsContainer = wrapper.querySelector('.filter-chips');
-      const dropdown = wrapper.querySelector('.filter-dropdown-menu');
-      const trigger = wrapper.querySelector('.filter-dropdown-trigger');
-
-      if (!chipsContainer || !dropdown || !trigger) return;
-
-      const checkedBoxes = dropdown.querySelectorAll('input:checked');
-
-      // Update Trigger
-      trigger.textContent = checkedBoxes.length > 0
-        ? `${checkedBoxes.length} sélectionné${checkedBoxes.length > 1 ? 's' : ''}`
-        : 'Sélectionner...';
-      trigger.style.borderColor = checkedBoxes.length > 0 ? 'var(--color-primary)' : '';
-
-      // Render Chips
-      chipsContainer.innerHTML = Array.from(checkedBoxes).map(cb => {
-        const text = cb.parentElement.textContent.replace('●', '').trim();
-        return `
-             <span class="filter-chip">
-               ${text}
-               <button class="filter-chip-remove" data-value="${cb.value}">&times;</button>
-             </span>
-           `;
-      }).join('');
-
-      // Remove Handler
-      chipsContainer.querySelectorAll('.filter-chip-remove').forEach(btn => {
-        btn.addEventListener('click', (ev) => {
-          ev.stopPropagation();
-          const val = ev.target.dataset.value;
-          const cb = dropdown.querySelector(`input[value="${val}"]`);
-          if (cb) {
-            cb.checked = false;
-            // Trigger change to update data and UI
-            cb.dispatchEvent(new Event('change', { bubbles: true }));
-          }
-        });
-      });
-    };
-
     // Job family checkboxes
     const jobFamilyContainer = contentEl.querySelector('[id*="filter-job-family"]');
     if (jobFamilyContainer) {
@@ -205,8 +216,131 @@ const BottomSheet = (function () {
       });
     }
 
+    // Experience level & qualification checkboxes
+    bindMultiSelect('filter-experience', 'experienceLevels');
+    bindMultiSelect('filter-qualification', 'qualifications');
+    bindMultiSelect('filter-sector', 'sectors');
+    bindMultiSelect('filter-region', 'regions');
+
     // Department autocomplete + chips
     setupDepartmentAutocomplete();
+
+    // Date range inputs + quarter presets
+    setupDateRangeInputs();
+
+    // Full-text search box
+    const searchInput = contentEl.querySelector('[id$="filter-search"]');
+    if (searchInput) {
+      searchInput.addEventListener('input', () => {
+        pendingFilters.search = searchInput.value.trim();
+      });
+    }
+
+    // Salary range slider
+    if (window.SalaryFilter) {
+      SalaryFilter.setupRoot(contentEl.querySelector('.salary-filter'), (range) => {
+        pendingFilters.salaryRange = range;
+      });
+    }
+
+    // Radius search
+    if (window.RadiusFilter) {
+      RadiusFilter.setupRoot(contentEl.querySelector('.radius-filter'), (radius) => {
+        pendingFilters.radius = radius;
+      });
+    }
+  }
+
+  /**
+   * Setup date range inputs and quarter presets for bottom sheet
+   */
+  function setupDateRangeInputs() {
+    const fromInput = contentEl.querySelector('[id$="filter-date-from"]');
+    const toInput = contentEl.querySelector('[id$="filter-date-to"]');
+    const presets = contentEl.querySelector('[id$="filter-date-presets"]');
+
+    if (!fromInput || !toInput) return;
+
+    const readInputs = () => {
+      const from = fromInput.value || null;
+      const to = toInput.value || null;
+      pendingFilters.dateRange = from || to ? { from, to } : null;
+    };
+
+    [fromInput, toInput].forEach(input => {
+      input.addEventListener('change', () => {
+        presets?.querySelectorAll('[data-quarter]').forEach(b => b.classList.remove('active'));
+        readInputs();
+      });
+    });
+
+    presets?.querySelectorAll('[data-quarter]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const wasActive = btn.classList.contains('active');
+        presets.querySelectorAll('[data-quarter]').forEach(b => b.classList.remove('active'));
+
+        if (wasActive) {
+          fromInput.value = '';
+          toInput.value = '';
+        } else {
+          const range = DataProcessor.getQuarterRange(Number(btn.dataset.quarter));
+          fromInput.value = range.from;
+          toInput.value = range.to;
+          btn.classList.add('active');
+        }
+
+        readInputs();
+      });
+    });
+  }
+
+  /**
+   * Write a date range into a pair of date inputs
+   * @param {string} prefix - ID prefix ('' for sidebar, 'bottom-sheet-' for sheet)
+   * @param {object|null} range - Date range { from, to }
+   */
+  function setDateInputs(prefix, range) {
+    const fromInput = document.getElementById(`${prefix}filter-date-from`);
+    const toInput = document.getElementById(`${prefix}filter-date-to`);
+    if (fromInput) fromInput.value = range?.from || '';
+    if (toInput) toInput.value = range?.to || '';
+    document.querySelectorAll(`#${prefix}filter-date-presets [data-quarter]`)
+      .forEach(b => b.classList.remove('active'));
+  }
+
+  /**
+   * Keep a pending filter list in sync with a cloned multi-select
+   * @param {string} idPart - Container ID fragment (e.g. 'filter-experience')
+   * @param {string} key - Key in pendingFilters
+   */
+  function bindMultiSelect(idPart, key) {
+    const container = contentEl.querySelector(`[id$="${idPart}-container"]`);
+    if (!container) return;
+
+    const setPending = (value, checked) => {
+      if (checked) {
+        if (!pendingFilters[key].includes(value)) pendingFilters[key].push(value);
+      } else {
+        pendingFilters[key] = pendingFilters[key].filter(v => v !== value);
+      }
+    };
+
+    container.addEventListener('change', (e) => {
+      if (e.target.type !== 'checkbox') return;
+
+      // Group header toggles every item of the group
+      if (e.target.classList.contains('filter-group-cb')) {
+        e.target.closest('.filter-dropdown-group')
+          .querySelectorAll('.filter-dropdown-group-items input[type="checkbox"]')
+          .forEach(cb => {
+            cb.checked = e.target.checked;
+            setPending(cb.value, cb.checked);
+          });
+      } else {
+        setPending(e.target.value, e.target.checked);
+      }
+      updateChips(container);
+    });
   }
 
   /**
@@ -387,12 +521,20 @@ const BottomSheet = (function () {
    * Sync bottom sheet checkboxes with sidebar state
    */
   function syncWithSidebar() {
-    // Get current filter state from DataProcessor
-    const currentFilters = DataProcessor.filters;
+    // Get the filter state being edited (selection B in compare mode)
+    const currentFilters = window.App ? App.getEditedFilters() : DataProcessor.filters;
     pendingFilters = {
       jobFamilies: [...currentFilters.jobFamilies],
       contractTypes: [...currentFilters.contractTypes],
-      departments: [...currentFilters.departments]
+      departments: [...currentFilters.departments],
+      regions: [...(currentFilters.regions || [])],
+      dateRange: currentFilters.dateRange ? { ...currentFilters.dateRange } : null,
+      search: currentFilters.search || '',
+      salaryRange: currentFilters.salaryRange ? { ...currentFilters.salaryRange } : null,
+      experienceLevels: [...(currentFilters.experienceLevels || [])],
+      qualifications: [...(currentFilters.qualifications || [])],
+      sectors: [...(currentFilters.sectors || [])],
+      radius: currentFilters.radius ? { ...currentFilters.radius } : null
     };
 
     // Update checkboxes in bottom sheet
@@ -408,10 +550,40 @@ const BottomSheet = (function () {
       cb.checked = pendingFilters.contractTypes.includes(cb.value);
     });
 
+    // Experience levels & qualifications
+    contentEl.querySelectorAll('[id$="filter-experience-dropdown"] input[type="checkbox"]').forEach((cb) => {
+      cb.checked = pendingFilters.experienceLevels.includes(cb.value);
+    });
+    contentEl.querySelectorAll('[id$="filter-qualification-dropdown"] input[type="checkbox"]').forEach((cb) => {
+      cb.checked = pendingFilters.qualifications.includes(cb.value);
+    });
+    contentEl.querySelectorAll('[id$="filter-sector-dropdown"] .filter-sector-cb').forEach((cb) => {
+      cb.checked = pendingFilters.sectors.includes(cb.value);
+    });
+    contentEl.querySelectorAll('[id$="filter-region-dropdown"] .filter-region-cb').forEach((cb) => {
+      cb.checked = pendingFilters.regions.includes(cb.value);
+    });
+    contentEl.querySelectorAll('.multi-select-container').forEach(updateChips);
+
     // Departments - render chips
     if (contentEl._renderDeptChips) {
       contentEl._renderDeptChips();
     }
+
+    // Date range
+    setDateInputs('bottom-sheet-', pendingFilters.dateRange);
+
+    // Search box
+    const searchInput = document.getElementById('bottom-sheet-filter-search');
+    if (searchInput) searchInput.value = pendingFilters.search;
+
+    // Salary range
+    if (window.SalaryFilter) {
+      SalaryFilter.setRange(contentEl.querySelector('.salary-filter'), pendingFilters.salaryRange);
+    }
+    if (window.RadiusFilter) {
+      RadiusFilter.setValue(contentEl.querySelector('.radius-filter'), pendingFilters.radius);
+    }
   }
 
   /**
@@ -524,7 +696,15 @@ const BottomSheet = (function () {
     pendingFilters = {
       jobFamilies: [],
       contractTypes: [],
-      departments: []
+      departments: [],
+      regions: [],
+      dateRange: null,
+      search: '',
+      salaryRange: null,
+      experienceLevels: [],
+      qualifications: [],
+      sectors: [],
+      radius: null
     };
 
     // Uncheck all checkboxes
@@ -549,6 +729,21 @@ const BottomSheet = (function () {
       contentEl._renderDeptChips();
     }
 
+    // Clear date range
+    setDateInputs('bottom-sheet-', null);
+
+    // Clear search
+    const searchInput = document.getElementById('bottom-sheet-filter-search');
+    if (searchInput) searchInput.value = '';
+
+    // Clear salary range
+    if (window.SalaryFilter) {
+      SalaryFilter.setRange(contentEl?.querySelector('.salary-filter'), null);
+    }
+    if (window.RadiusFilter) {
+      RadiusFilter.setValue(contentEl?.querySelector('.radius-filter'), null);
+    }
+
     // Explicitly clear multi-select chips and reset triggers (Job Family, Contract)
     if (contentEl) {
       // Clear chips
@@ -571,8 +766,12 @@ const BottomSheet = (function () {
    * Apply filters and close
    */
   function applyFilters() {
-    // Apply filters through DataProcessor
-    DataProcessor.applyFilters(pendingFilters);
+    // Apply filters to the selection being edited
+    if (window.App) {
+      App.applyEditedFilters(pendingFilters);
+    } else {
+      DataProcessor.applyFilters(pendingFilters);
+    }
 
     // Also sync sidebar checkboxes
     syncSidebarWithPending();
@@ -594,6 +793,38 @@ const BottomSheet = (function () {
       cb.checked = pendingFilters.contractTypes.includes(cb.value);
     });
 
+    // Experience levels & qualifications
+    document.querySelectorAll('#filter-experience-dropdown .filter-experience-cb').forEach((cb) => {
+      cb.checked = pendingFilters.experienceLevels.includes(cb.value);
+    });
+    document.querySelectorAll('#filter-qualification-dropdown .filter-qualification-cb').forEach((cb) => {
+      cb.checked = pendingFilters.qualifications.includes(cb.value);
+    });
+    document.querySelectorAll('#filter-sector-dropdown .filter-sector-cb').forEach((cb) => {
+      cb.checked = pendingFilters.sectors.includes(cb.value);
+    });
+    document.querySelectorAll('#filter-region-dropdown .filter-region-cb').forEach((cb) => {
+      cb.checked = pendingFilters.regions.includes(cb.value);
+    });
+    if (window.App) {
+      App.refreshMultiSelects();
+    }
+
+    // Date range
+    setDateInputs('', pendingFilters.dateRange);
+
+    // Search box
+    const searchInput = document.getElementById('filter-search');
+    if (searchInput) searchInput.value = pendingFilters.search;
+
+    // Salary range
+    if (window.SalaryFilter) {
+      SalaryFilter.setRange(document.getElementById('filter-salary'), pendingFilters.salaryRange);
+    }
+    if (window.RadiusFilter) {
+      RadiusFilter.setValue(document.getElementById('filter-radius'), pendingFilters.radius);
+    }
+
     // Departments - sync with App's selectedDepts and re-render chips
     if (window.App) {
       App.selectedDepts = new Set(pendingFilters.departments);
@@ -630,10 +861,18 @@ const BottomSheet = (function () {
   function updateBadge() {
     if (!filterBadge) return;
 
-    const filters = DataProcessor.filters;
+    const filters = window.App ? App.getEditedFilters() : DataProcessor.filters;
     const count = filters.jobFamilies.length +
       filters.contractTypes.length +
-      filters.departments.length;
+      filters.departments.length +
+      filters.regions.length +
+      (filters.dateRange ? 1 : 0) +
+      (filters.search ? 1 : 0) +
+      (filters.salaryRange ? 1 : 0) +
+      filters.experienceLevels.length +
+      filters.qualifications.length +
+      filters.sectors.length +
+      (filters.radius ? 1 : 0);
 
     if (count > 0) {
       filterBadge.textContent = count;
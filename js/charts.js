@@ -7,6 +7,11 @@ const Charts = {
   instances: {},
   salaryType: 'gross',
   salaryPeriod: 'annual',
+  salaryUnit: 'euros', // 'euros', 'constant' (euros of SalaryIndex's reference year) or 'smic' (multiples of the SMIC)
+  salaryGeoLevel: 'department', // 'department' or 'region' for the geographic salary chart
+
+  // Series colours in compare mode
+  COMPARE_COLORS: { A: '#2563eb', B: '#f59e0b' },
 
   /**
    * Initialize all charts
@@ -14,8 +19,11 @@ const Charts = {
   init() {
     this.createJobFamilyChart();
     this.createContractChart();
+    this.createExperienceChart();
+    this.createQualificationChart();
     this.createSalaryContractChart();
     this.createSalaryFamilyChart();
+    this.createSalaryExperienceChart();
     this.createSalaryDeptChart();
   },
 
@@ -24,13 +32,87 @@ const Charts = {
    */
   update() {
     const stats = DataProcessor.getStats();
+    const compare = DataProcessor.getCompareStats();
 
-    this.updateJobFamilyChart(stats);
-    this.updateContractChart(stats);
-    this.updateSalaryContractChart(stats);
-    this.updateSalaryFamilyChart(stats);
-    this.updateSalaryDeptChart(stats);
+    this.updateJobFamilyChart(stats, compare);
+    this.updateContractChart(stats, compare);
+    this.updateExperienceChart(stats, compare);
+    this.updateQualificationChart(stats, compare);
+    this.updateSalaryContractChart(stats, compare);
+    this.updateSalaryFamilyChart(stats, compare);
+    this.updateSalaryExperienceChart(stats, compare);
+    this.updateSalaryDeptChart(stats, compare);
     this.updateSalaryTable(stats);
+    this.updateGradeEstimates(DataProcessor.getOffers(true));
+    SalaryDistribution.update();
+    SalaryEstimator.update();
+  },
+
+  /**
+   * Pair the groups of selection A and B by key
+   * @param {object} groups - Groups of selection A (e.g. stats.byJobFamily)
+   * @param {object|null} compareGroups - Same groups of selection B, null when not comparing
+   * @returns {Array} [key, group of A | undefined, group of B | undefined] for keys of either selection
+   */
+  pairGroups(groups, compareGroups) {
+    const keys = new Set([...Object.keys(groups), ...Object.keys(compareGroups || {})]);
+    return Array.from(keys, key => [key, groups[key], compareGroups?.[key]]);
+  },
+
+  /**
+   * Show or drop selection B's bars next to selection A's
+   * @param {Chart} chart - Bar chart
+   * @param {object|null} series - { data, counts, intervals, notes } of selection B, null when not comparing
+   * @param {object} base - { label, color } of the single series outside compare mode
+   */
+  setCompareBars(chart, series, base) {
+    const datasets = chart.data.datasets;
+    chart.options.plugins.legend.display = Boolean(series);
+
+    if (!series) {
+      datasets.length = 1;
+      datasets[0].label = base.label;
+      datasets[0].backgroundColor = base.color;
+      return;
+    }
+
+    datasets[0].label = 'Sélection A';
+    datasets[0].backgroundColor = this.COMPARE_COLORS.A;
+    datasets[1] = {
+      ...datasets[1],
+      label: 'Sélection B',
+      data: series.data,
+      counts: series.counts,
+      intervals: series.intervals,
+      notes: series.notes,
+      backgroundColor: this.COMPARE_COLORS.B
+    };
+  },
+
+  /**
+   * Show or drop selection B as the inner ring of a pie or doughnut chart
+   * @param {Chart} chart - Pie or doughnut chart
+   * @param {Array<number>|null} data - Counts of selection B, null when not comparing
+   */
+  setCompareRing(chart, data) {
+    const datasets = chart.data.datasets;
+    chart.options.plugins.title = {
+      display: Boolean(data),
+      text: 'Anneau extérieur : sélection A · intérieur : sélection B',
+      font: { size: 11, weight: 'normal' }
+    };
+
+    if (!data) {
+      datasets.length = 1;
+      return;
+    }
+
+    datasets[0].label = 'Sélection A';
+    datasets[1] = {
+      label: 'Sélection B',
+      data,
+      backgroundColor: datasets[0].backgroundColor
+    };
   },
 
   /**
@@ -73,15 +155,17 @@ const Charts = {
     });
   },
 
-  updateJobFamilyChart(stats) {
+  updateJobFamilyChart(stats, compare = null) {
     if (!this.instances.jobFamilies) return;
 
-    const data = Object.entries(stats.byJobFamily)
-      .sort((a, b) => b[1].count - a[1].count);
+    const total = ([, a, b]) => (a?.count || 0) + (b?.count || 0);
+    const data = this.pairGroups(stats.byJobFamily, compare?.byJobFamily)
+      .sort((a, b) => total(b) - total(a));
 
     this.instances.jobFamilies.data.labels = data.map(d => d[0]);
-    this.instances.jobFamilies.data.datasets[0].data = data.map(d => d[1].count);
+    this.instances.jobFamilies.data.datasets[0].data = data.map(d => d[1]?.count || 0);
     this.instances.jobFamilies.data.datasets[0].backgroundColor = data.map(d => JobClassifier.getColor(d[0]));
+    this.setCompareRing(this.instances.jobFamilies, compare && data.map(d => d[2]?.count || 0));
     this.instances.jobFamilies.update();
   },
 
@@ -115,18 +199,124 @@ const Charts = {
     });
   },
 
-  updateContractChart(stats) {
+  updateContractChart(stats, compare = null) {
     if (!this.instances.contracts) return;
 
-    const data = Object.entries(stats.byContractType)
-      .sort((a, b) => b[1].count - a[1].count)
+    const total = ([, a, b]) => (a?.count || 0) + (b?.count || 0);
+    const data = this.pairGroups(stats.byContractType, compare?.byContractType)
+      .sort((a, b) => total(b) - total(a))
       .slice(0, 6);
 
     this.instances.contracts.data.labels = data.map(d => d[0]);
-    this.instances.contracts.data.datasets[0].data = data.map(d => d[1].count);
+    this.instances.contracts.data.datasets[0].data = data.map(d => d[1]?.count || 0);
+    this.setCompareRing(this.instances.contracts, compare && data.map(d => d[2]?.count || 0));
     this.instances.contracts.update();
   },
 
+  /**
+   * Experience Level Distribution Chart
+   */
+  createExperienceChart() {
+    const ctx = document.getElementById('chart-experience');
+    if (!ctx) return;
+
+    this.destroyChart('experience');
+
+    this.instances.experience = new Chart(ctx, {
+      type: 'bar',
+      data: {
+        labels: [],
+        datasets: [{
+          label: 'Offres',
+          data: [],
+          backgroundColor: '#8b5cf6'
+        }]
+      },
+      options: {
+        responsive: true,
+        plugins: {
+          legend: { display: false }
+        },
+        scales: {
+          x: {
+            ticks: { font: { size: 10 } }
+          },
+          y: {
+            beginAtZero: true,
+            ticks: { precision: 0 }
+          }
+        }
+      }
+    });
+  },
+
+  updateExperienceChart(stats, compare = null) {
+    if (!this.instances.experience) return;
+
+    // Keep the natural level order rather than sorting by count
+    const levels = DataProcessor.EXPERIENCE_LEVELS
+      .filter(level => stats.byExperience[level] || compare?.byExperience[level]);
+
+    this.instances.experience.data.labels = levels;
+    this.instances.experience.data.datasets[0].data = levels.map(level => stats.byExperience[level]?.count || 0);
+    this.setCompareBars(this.instances.experience, compare && {
+      data: levels.map(level => compare.byExperience[level]?.count || 0)
+    }, { label: 'Offres', color: '#8b5cf6' });
+    this.instances.experience.update();
+  },
+
+  /**
+   * Qualification Distribution Chart
+   */
+  createQualificationChart() {
+    const ctx = document.getElementById('chart-qualification');
+    if (!ctx) return;
+
+    this.destroyChart('qualification');
+
+    this.instances.qualification = new Chart(ctx, {
+      type: 'bar',
+      data: {
+        labels: [],
+        datasets: [{
+          label: 'Offres',
+          data: [],
+          backgroundColor: '#06b6d4'
+        }]
+      },
+      options: {
+        responsive: true,
+        indexAxis: 'y',
+        plugins: {
+          legend: { display: false }
+        },
+        scales: {
+          x: {
+            beginAtZero: true,
+            ticks: { precision: 0 }
+          },
+          y: {
+            ticks: { font: { size: 11 } }
+          }
+        }
+      }
+    });
+  },
+
+  updateQualificationChart(stats, compare = null) {
+    if (!this.instances.qualification) return;
+
+    const levels = DataProcessor.QUALIFICATION_LEVELS
+      .filter(level => stats.byQualification[level] || compare?.byQualification[level]);
+
+    this.instances.qualification.data.labels = levels;
+    this.instances.qualification.data.datasets[0].data = levels.map(level => stats.byQualification[level]?.count || 0);
+    this.setCompareBars(this.instances.qualification, compare && {
+      data: levels.map(level => compare.byQualification[level]?.count || 0)
+    }, { label: 'Offres', color: '#06b6d4' });
+    this.instances.qualification.update();
+  },
+
   /**
    * Helper: Ensure canvas has a wrapper for scrolling/sizing
    */
@@ -175,17 +365,14 @@ const Charts = {
           legend: { display: false },
           tooltip: {
             callbacks: {
-              label: ctx => {
-                const count = ctx.dataset.counts?.[ctx.dataIndex];
-                return `${SalaryUtils.formatCurrency(ctx.raw)} (n=${count || 0})`;
-              }
+              label: ctx => this.formatSalaryTooltip(ctx)
             }
           }
         },
         scales: {
           x: {
             ticks: {
-              callback: v => SalaryUtils.formatCurrency(v)
+              callback: v => this.formatSalary(v)
             }
           },
           y: {
@@ -211,17 +398,13 @@ const Charts = {
     });
   },
 
-  updateSalaryContractChart(stats) {
+  updateSalaryContractChart(stats, compare = null) {
     if (!this.instances.salaryContract) return;
 
     const salaryKey = this.getSalaryKey();
-    const data = Object.entries(stats.byContractType)
-      .filter(d => d[1].salaryStats)
-      .map(([name, d]) => ({
-        name,
-        value: this.convertSalary(d.salaryStats.median),
-        count: d.salaryStats.count
-      }))
+    const data = this.pairGroups(stats.byContractType, compare?.byContractType)
+      .map(([name, a, b]) => ({ name, ...this.salaryBar(a, b) }))
+      .filter(d => d.count || d.compareCount)
       .sort((a, b) => a.name.localeCompare(b.name, 'fr', { sensitivity: 'base' }));
 
     // Dynamic Height Calculation
@@ -245,10 +428,15 @@ const Charts = {
     canvas.style.height = '100%';
     canvas.style.maxHeight = 'none';
 
-    this.instances.salaryContract.data.labels = data.map(d => d.name);
+    this.instances.salaryContract.data.labels = data.map(d => this.salaryCategoryLabel(d, compare));
     this.instances.salaryContract.data.datasets[0].data = data.map(d => d.value);
     this.instances.salaryContract.data.datasets[0].counts = data.map(d => d.count);
-    this.instances.salaryContract.data.datasets[0].label = SalaryUtils.getLabel(this.salaryType, this.salaryPeriod);
+    this.instances.salaryContract.data.datasets[0].intervals = data.map(d => d.interval);
+    this.instances.salaryContract.data.datasets[0].notes = data.map(d => d.note);
+    this.setCompareBars(this.instances.salaryContract, this.compareSalarySeries(data, compare), {
+      label: this.getSalaryLabel(),
+      color: '#2563eb'
+    });
     this.instances.salaryContract.update();
     // this.instances.salaryContract.resize(); // Disabled to prevent loop
   },
@@ -284,17 +472,14 @@ const Charts = {
           legend: { display: false },
           tooltip: {
             callbacks: {
-              label: ctx => {
-                const count = ctx.dataset.counts?.[ctx.dataIndex];
-                return `${SalaryUtils.formatCurrency(ctx.raw)} (n=${count || 0})`;
-              }
+              label: ctx => this.formatSalaryTooltip(ctx)
             }
           }
         },
         scales: {
           x: {
             ticks: {
-              callback: v => SalaryUtils.formatCurrency(v)
+              callback: v => this.formatSalary(v)
             }
           },
           y: {
@@ -316,17 +501,12 @@ const Charts = {
     });
   },
 
-  updateSalaryFamilyChart(stats) {
+  updateSalaryFamilyChart(stats, compare = null) {
     if (!this.instances.salaryFamily) return;
 
-    const data = Object.entries(stats.byJobFamily)
-      .filter(d => d[1].salaryStats)
-      .map(([name, d]) => ({
-        name,
-        value: this.convertSalary(d.salaryStats.median),
-        count: d.salaryStats.count,
-        color: JobClassifier.getColor(name)
-      }))
+    const data = this.pairGroups(stats.byJobFamily, compare?.byJobFamily)
+      .map(([name, a, b]) => ({ name, ...this.salaryBar(a, b), color: JobClassifier.getColor(name) }))
+      .filter(d => d.count || d.compareCount)
       .sort((a, b) => a.name.localeCompare(b.name, 'fr', { sensitivity: 'base' }));
 
     // Dynamic Height Calculation
@@ -342,15 +522,112 @@ const Charts = {
     canvas.style.height = '100%';
     canvas.style.maxHeight = 'none';
 
-    this.instances.salaryFamily.data.labels = data.map(d => d.name);
+    this.instances.salaryFamily.data.labels = data.map(d => this.salaryCategoryLabel(d, compare));
     this.instances.salaryFamily.data.datasets[0].data = data.map(d => d.value);
     this.instances.salaryFamily.data.datasets[0].counts = data.map(d => d.count);
-    this.instances.salaryFamily.data.datasets[0].backgroundColor = data.map(d => d.color);
-    this.instances.salaryFamily.data.datasets[0].label = SalaryUtils.getLabel(this.salaryType, this.salaryPeriod);
+    this.instances.salaryFamily.data.datasets[0].intervals = data.map(d => d.interval);
+    this.instances.salaryFamily.data.datasets[0].notes = data.map(d => d.note);
+    this.setCompareBars(this.instances.salaryFamily, this.compareSalarySeries(data, compare), {
+      label: this.getSalaryLabel(),
+      color: data.map(d => d.color)
+    });
     this.instances.salaryFamily.update();
     // this.instances.salaryFamily.resize();
   },
 
+  /**
+   * Salary by Experience Level Chart
+   */
+  createSalaryExperienceChart() {
+    const canvas = document.getElementById('chart-salary-experience');
+    if (!canvas) return;
+
+    this.ensureWrapper(canvas);
+    const ctx = canvas.getContext('2d');
+
+    this.destroyChart('salaryExperience');
+
+    this.instances.salaryExperience = new Chart(ctx, {
+      type: 'bar',
+      data: {
+        labels: [],
+        datasets: [{
+          label: 'Salaire médian',
+          data: [],
+          counts: [],
+          backgroundColor: '#8b5cf6'
+        }]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        indexAxis: 'y',
+        plugins: {
+          legend: { display: false },
+          tooltip: {
+            callbacks: {
+              label: ctx => this.formatSalaryTooltip(ctx)
+            }
+          }
+        },
+        scales: {
+          x: {
+            ticks: {
+              callback: v => this.formatSalary(v)
+            }
+          },
+          y: {
+            border: {
+              display: true,
+              color: '#cbd5e1',
+              width: 2
+            },
+            grid: {
+              display: false
+            },
+            ticks: {
+              autoSkip: false,
+              crossAlign: 'near'
+            }
+          }
+        }
+      }
+    });
+  },
+
+  updateSalaryExperienceChart(stats, compare = null) {
+    if (!this.instances.salaryExperience) return;
+
+    // Natural level order, so the salary progression reads top to bottom
+    const data = DataProcessor.EXPERIENCE_LEVELS
+      .map(level => ({ name: level, ...this.salaryBar(stats.byExperience[level], compare?.byExperience[level]) }))
+      .filter(d => d.count || d.compareCount);
+
+    // Dynamic Height Calculation
+    const ctx = this.instances.salaryExperience.ctx;
+    const canvas = ctx.canvas;
+    const wrapper = canvas.parentNode;
+
+    const barHeight = 60;
+    const minHeight = 200;
+    const newHeight = Math.max(minHeight, data.length * barHeight);
+
+    wrapper.style.height = `${newHeight}px`;
+    canvas.style.height = '100%';
+    canvas.style.maxHeight = 'none';
+
+    this.instances.salaryExperience.data.labels = data.map(d => this.salaryCategoryLabel(d, compare));
+    this.instances.salaryExperience.data.datasets[0].data = data.map(d => d.value);
+    this.instances.salaryExperience.data.datasets[0].counts = data.map(d => d.count);
+    this.instances.salaryExperience.data.datasets[0].intervals = data.map(d => d.interval);
+    this.instances.salaryExperience.data.datasets[0].notes = data.map(d => d.note);
+    this.setCompareBars(this.instances.salaryExperience, this.compareSalarySeries(data, compare), {
+      label: this.getSalaryLabel(),
+      color: '#8b5cf6'
+    });
+    this.instances.salaryExperience.update();
+  },
+
   /**
    * Salary by Department Chart
    */
@@ -382,17 +659,14 @@ const Charts = {
           legend: { display: false },
           tooltip: {
             callbacks: {
-              label: ctx => {
-                const count = ctx.dataset.counts?.[ctx.dataIndex];
-                return `${SalaryUtils.formatCurrency(ctx.raw)} (n=${count || 0})`;
-              }
+              label: ctx => this.formatSalaryTooltip(ctx)
             }
           }
         },
         scales: {
           x: {
             ticks: {
-              callback: v => SalaryUtils.formatCurrency(v)
+              callback: v => this.formatSalary(v)
             }
           },
           y: {
@@ -414,16 +688,17 @@ const Charts = {
     });
   },
 
-  updateSalaryDeptChart(stats) {
+  updateSalaryDeptChart(stats, compare = null) {
     if (!this.instances.salaryDept) return;
 
-    const data = Object.entries(stats.byDepartment)
-      .filter(d => d[1].salaryStats)
-      .map(([code, d]) => ({
-        name: `${d.name} (${code})`,
-        value: this.convertSalary(d.salaryStats.median),
-        count: d.salaryStats.count
-      }))
+    const isRegion = this.salaryGeoLevel === 'region';
+    const key = isRegion ? 'byRegion' : 'byDepartment';
+    const data = this.pairGroups(stats[key], compare?.[key])
+      .map(([code, a, b]) => {
+        const name = (a || b).name;
+        return { name: isRegion ? name : `${name} (${code})`, ...this.salaryBar(a, b) };
+      })
+      .filter(d => d.count || d.compareCount)
       .sort((a, b) => b.value - a.value)
       .sort((a, b) => a.name.localeCompare(b.name, 'fr', { sensitivity: 'base' }));
 
@@ -440,14 +715,112 @@ const Charts = {
     canvas.style.height = '100%';
     canvas.style.maxHeight = 'none';
 
-    this.instances.salaryDept.data.labels = data.map(d => d.name);
+    this.instances.salaryDept.data.labels = data.map(d => this.salaryCategoryLabel(d, compare));
     this.instances.salaryDept.data.datasets[0].data = data.map(d => d.value);
     this.instances.salaryDept.data.datasets[0].counts = data.map(d => d.count);
-    this.instances.salaryDept.data.datasets[0].label = SalaryUtils.getLabel(this.salaryType, this.salaryPeriod);
+    this.instances.salaryDept.data.datasets[0].intervals = data.map(d => d.interval);
+    this.instances.salaryDept.data.datasets[0].notes = data.map(d => d.note);
+    this.setCompareBars(this.instances.salaryDept, this.compareSalarySeries(data, compare), {
+      label: this.getSalaryLabel(),
+      color: '#10b981'
+    });
     this.instances.salaryDept.update();
     // this.instances.salaryDept.resize();
   },
 
+  /**
+   * Median bar values of one category for selection A and B, in display units
+   * Medians below the minimum sample get no bar (null value)
+   * @param {object|undefined} group - Group of selection A
+   * @param {object|undefined} compareGroup - Group of selection B
+   * @returns {object} { value, count, interval, note, compareValue, compareCount, compareInterval, compareNote }
+   */
+  salaryBar(group, compareGroup) {
+    const bar = g => {
+      const stats = g?.salaryStats;
+      const convert = v => this.convertSalary(v, g);
+      const ci = SalaryUtils.getMedianCI(stats);
+      return {
+        value: SalaryUtils.isSufficient(stats) ? convert(stats.median) : null,
+        count: stats?.count || 0,
+        interval: ci ? { ...ci, low: convert(ci.low), high: convert(ci.high) } : null,
+        note: stats ? this.getNetNote(g) : null
+      };
+    };
+    const a = bar(group);
+    const b = bar(compareGroup);
+
+    return {
+      ...a,
+      compareValue: b.value,
+      compareCount: b.count,
+      compareInterval: b.interval,
+      compareNote: b.note
+    };
+  },
+
+  /**
+   * How the net figures of a group were derived, when net salaries are shown
+   * @param {object} group - Stats group (or whole stats) with netRate and statuses
+   * @returns {string|null} Assumption for tooltips, null in gross mode and for SMIC multiples
+   */
+  getNetNote(group) {
+    if (this.salaryType !== 'net' || this.salaryUnit === 'smic' || !group?.netRate) return null;
+    return SalaryUtils.formatNetAssumption(group.netRate, group.statuses);
+  },
+
+  /**
+   * Category label of a median salary chart, flagging selections with too few salaries
+   * @param {object} bar - Bar built with salaryBar, plus its name
+   * @param {object|null} compare - Selection B's stats, null when not comparing
+   * @returns {string} e.g. "CDD (échantillon insuffisant)" or "CDD (B : échantillon insuffisant)"
+   */
+  salaryCategoryLabel(bar, compare) {
+    const flagged = [];
+    if (bar.count && bar.value === null) flagged.push('A');
+    if (bar.compareCount && bar.compareValue === null) flagged.push('B');
+    if (flagged.length === 0) return bar.name;
+
+    const selections = compare ? `${flagged.join(', ')} : ` : '';
+    return `${bar.name} (${selections}${SalaryUtils.INSUFFICIENT_LABEL})`;
+  },
+
+  /**
+   * Tooltip of a median salary bar: median, sample size, confidence interval and net assumption
+   * @param {object} ctx - Chart.js tooltip item
+   * @returns {Array<string>} Tooltip lines
+   */
+  formatSalaryTooltip(ctx) {
+    const count = ctx.dataset.counts?.[ctx.dataIndex] || 0;
+    const interval = ctx.dataset.intervals?.[ctx.dataIndex];
+    const note = ctx.dataset.notes?.[ctx.dataIndex];
+    const selection = ctx.chart.data.datasets.length > 1 ? `${ctx.dataset.label} : ` : '';
+    const lines = [`${selection}${this.formatSalary(ctx.raw)} (n=${count})`];
+    if (interval) {
+      lines.push(SalaryUtils.formatConfidenceInterval(interval, undefined, v => this.formatSalary(v)));
+    }
+    if (note) {
+      lines.push(note);
+    }
+    return lines;
+  },
+
+  /**
+   * Selection B's series of a median salary chart
+   * @param {Array<object>} data - Bars built with salaryBar
+   * @param {object|null} compare - Selection B's stats, null when not comparing
+   * @returns {object|null} { data, counts, intervals, notes } or null when not comparing
+   */
+  compareSalarySeries(data, compare) {
+    if (!compare) return null;
+    return {
+      data: data.map(d => d.compareValue),
+      counts: data.map(d => d.compareCount),
+      intervals: data.map(d => d.compareInterval),
+      notes: data.map(d => d.compareNote)
+    };
+  },
+
   /**
    * Update salary summary table
    */
@@ -458,16 +831,91 @@ const Charts = {
     const data = Object.entries(stats.byJobFamily)
       .sort((a, b) => b[1].count - a[1].count);
 
+    const note = document.getElementById('salary-table-note');
+    if (note) {
+      note.textContent = `P10 / P90 : 10 % des salaires sont en dessous / au-dessus. ` +
+        `Médiane avec son intervalle de confiance à ${Math.round(SalaryUtils.CONFIDENCE * 100)} % (bootstrap). ` +
+        `Moins de ${SalaryUtils.MIN_SAMPLE} salaires : ${SalaryUtils.INSUFFICIENT_LABEL}.` +
+        (this.salaryType === 'net' && this.salaryUnit !== 'smic'
+          ? ' Net estimé selon le statut déduit de chaque offre (privé non-cadre, cadre, public titulaire ou contractuel) : survolez une ligne pour le détail.'
+          : '') +
+        this.getUnitNote();
+    }
+
     tbody.innerHTML = data.map(([family, d]) => {
       const s = d.salaryStats;
+      const money = v => this.formatSalary(this.convertSalary(v, d));
+      const note = this.getNetNote(d);
+      let salaryCells = '<td colspan="5" class="text-muted">-</td>';
+      if (s && !SalaryUtils.isSufficient(s)) {
+        salaryCells = `<td colspan="5" class="salary-insufficient">${SalaryUtils.INSUFFICIENT_LABEL} <span class="count-badge">(n=${s.count})</span></td>`;
+      } else if (s) {
+        salaryCells = `
+          <td>${money(s.min)}</td>
+          <td>${money(s.p10)}</td>
+          <td>
+            <strong>${money(s.median)}</strong> <span class="count-badge">(n=${s.count})</span>
+            <span class="salary-ci">${SalaryUtils.formatConfidenceInterval(SalaryUtils.getMedianCI(s), v => this.convertSalary(v, d), v => this.formatSalary(v))}</span>
+          </td>
+          <td>${money(s.p90)}</td>
+          <td>${money(s.max)}</td>
+        `;
+      }
+
       return `
-        <tr>
+        <tr${note ? ` title="${note}"` : ''}>
           <td><span style="color: ${JobClassifier.getColor(family)};">●</span> ${family}</td>
           <td>${d.count}</td>
           <td>${s ? s.count : 0}</td>
-          <td>${s ? SalaryUtils.formatCurrency(this.convertSalary(s.min)) : '-'}</td>
-          <td><strong>${s ? SalaryUtils.formatCurrency(this.convertSalary(s.median)) : '-'}</strong>${s ? ` <span class="count-badge">(n=${s.count})</span>` : ''}</td>
-          <td>${s ? SalaryUtils.formatCurrency(this.convertSalary(s.max)) : '-'}</td>
+          ${salaryCells}
+        </tr>
+      `;
+    }).join('');
+  },
+
+  /**
+   * Update the public grade estimates: indicial grid bands of the offers that publish no salary
+   * Kept apart from the salary statistics, which only use published salaries
+   * @param {array} offers - Filtered offers
+   */
+  updateGradeEstimates(offers) {
+    const container = document.getElementById('salary-estimates');
+    const tbody = container?.querySelector('tbody');
+    if (!tbody) return;
+
+    const rows = PublicGrades.summarize(offers);
+    const estimated = rows.reduce((sum, row) => sum + row.count, 0);
+    const withoutSalary = offers.filter(o => !o.salaryGrossAnnual && !o.salaryMin).length;
+
+    container.hidden = rows.length === 0;
+    if (rows.length === 0) return;
+
+    document.getElementById('salary-estimates-summary').textContent =
+      `${estimated} des ${withoutSalary} offres sans salaire publié mentionnent un grade ou une catégorie de la fonction publique.`;
+    document.getElementById('salary-estimates-note').textContent =
+      `${PublicGrades.LABEL} : traitement indiciaire brut hors primes, du premier au dernier échelon du grade ` +
+      `(point d'indice : ${PublicGrades.POINT_VALUE.toLocaleString('fr-FR')} € par mois). ` +
+      'Ces estimations ne sont pas incluses dans les statistiques de salaires publiés.';
+
+    tbody.innerHTML = rows.map(row => {
+      // Grid values are current: date conversions use the selection's mix
+      const group = {
+        netRate: SalaryUtils.blendNetRate(row.statuses),
+        statuses: row.statuses,
+        unitFactors: DataProcessor.getStats()?.unitFactors
+      };
+      const note = this.getNetNote(group);
+      const range = SalaryUtils.formatRange(
+        this.convertSalary(row.min, group),
+        this.convertSalary(row.max, group),
+        v => this.formatSalary(v)
+      );
+      return `
+        <tr title="${PublicGrades.describe(row)}${note ? `. ${note}` : ''}">
+          <td>${row.label}</td>
+          <td>${row.category}</td>
+          <td>${row.count}</td>
+          <td><span class="salary-estimate">≈ ${range}</span></td>
         </tr>
       `;
     }).join('');
@@ -475,15 +923,30 @@ const Charts = {
 
   /**
    * Convert salary based on current display settings
+   * SMIC multiples compare gross to gross, so they ignore the net and period settings
+   * @param {number} value - Gross annual salary
+   * @param {object} group - Stats group the salary stands for, with netRate and unitFactors
+   *   (defaults to the whole selection)
+   * @returns {number|null} Salary in display units
    */
-  convertSalary(value) {
+  convertSalary(value, group = DataProcessor.getStats()) {
     if (!value) return null;
 
+    const factors = group?.unitFactors || SalaryIndex.getFactors();
+    if (this.salaryUnit === 'smic') {
+      return Math.round(value * factors.smic * 100) / 100;
+    }
+
     let result = value;
 
+    // Prices of the reference year
+    if (this.salaryUnit === 'constant') {
+      result = Math.round(result * factors.constant);
+    }
+
     // Convert gross to net if needed
     if (this.salaryType === 'net') {
-      result = SalaryUtils.grossToNet(result);
+      result = SalaryUtils.grossToNet(result, group?.netRate || SalaryUtils.getNetRate());
     }
 
     // Convert annual to monthly if needed
@@ -494,6 +957,43 @@ const Charts = {
     return result;
   },
 
+  /**
+   * Format a salary in display units
+   * @param {number} value - Result of convertSalary
+   * @param {boolean} showNA - Show 'NC' for missing values
+   * @returns {string} e.g. "27 000 €" or "1,27 × SMIC"
+   */
+  formatSalary(value, showNA = false) {
+    if (this.salaryUnit !== 'smic' || value === null || value === undefined) {
+      return SalaryUtils.formatCurrency(value, showNA);
+    }
+    return `${value.toLocaleString('fr-FR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} × SMIC`;
+  },
+
+  /**
+   * Label of the salary series in display units
+   * @returns {string} e.g. "Brut annuel", "Net mensuel (euros 2025)" or "Multiple du SMIC brut"
+   */
+  getSalaryLabel() {
+    if (this.salaryUnit === 'smic') return 'Multiple du SMIC brut';
+    const label = SalaryUtils.getLabel(this.salaryType, this.salaryPeriod);
+    return this.salaryUnit === 'constant' ? `${label} (euros ${SalaryIndex.getReferenceYear()})` : label;
+  },
+
+  /**
+   * Explain the salary unit, for table notes
+   * @returns {string} Sentence (empty in current euros)
+   */
+  getUnitNote() {
+    if (this.salaryUnit === 'smic') {
+      return ' Salaires bruts rapportés au SMIC brut à temps plein en vigueur à la date de chaque offre.';
+    }
+    if (this.salaryUnit === 'constant') {
+      return ` Euros constants ${SalaryIndex.getReferenceYear()} : salaires corrigés de l'inflation (indice des prix INSEE, moyennes annuelles).`;
+    }
+    return '';
+  },
+
   /**
    * Get the current salary key
    */
@@ -509,12 +1009,31 @@ const Charts = {
     this.update();
   },
 
+  /**
+   * Set salary display unit
+   * @param {string} unit - 'euros', 'constant' or 'smic'
+   */
+  setSalaryUnit(unit) {
+    this.salaryUnit = unit;
+    this.update();
+  },
+
   /**
    * Set salary display period
    */
   setSalaryPeriod(period) {
     this.salaryPeriod = period;
     this.update();
+  },
+
+  /**
+   * Set the geographic level of the salary chart
+   * @param {string} level - 'department' or 'region'
+   */
+  setSalaryGeoLevel(level) {
+    this.salaryGeoLevel = level;
+    this.updateSalaryDeptChart(DataProcessor.getStats(), DataProcessor.getCompareStats());
+    SalaryDistribution.update();
   }
 };
 
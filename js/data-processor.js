@@ -14,7 +14,84 @@ const DataProcessor = {
     jobFamilies: [],
     contractTypes: [],
     departments: [],
-    dateRange: null
+    regions: [], // INSEE region codes
+    dateRange: null, // { from: 'YYYY-MM-DD' | null, to: 'YYYY-MM-DD' | null }
+    search: '',
+    salaryRange: null, // { min: number | null, max: number | null, includeUnknown: boolean }
+    experienceLevels: [],
+    qualifications: [],
+    sectors: [], // NAF division codes (offer.sectorCode) or 'Non précisé'
+    radius: null, // { lat, lng, km, dept: prefecture department code | null }
+    showFlaggedSalaries: false // Keep salaries flagged by SalaryQuality as published instead of correcting or excluding them
+  },
+
+  // Experience levels derived from the free-form experience field, in display order
+  EXPERIENCE_LEVELS: [
+    'Débutant accepté',
+    'Moins d\'1 an',
+    '1 à 2 ans',
+    '3 à 4 ans',
+    '5 à 9 ans',
+    '10 ans et plus',
+    'Expérience requise (durée NC)',
+    'Non précisé'
+  ],
+
+  // Qualification values from France Travail, in display order
+  QUALIFICATION_LEVELS: [
+    'Manœuvre',
+    'Ouvrier spécialisé',
+    'Ouvrier qualifié (P1,P2)',
+    'Ouvrier qualifié (P3,P4,OHQ)',
+    'Employé non qualifié',
+    'Employé qualifié',
+    'Technicien',
+    'Agent de maîtrise',
+    'Cadre',
+    'Non précisé'
+  ],
+
+  // Raw experience string -> level, memoized (about a hundred distinct values)
+  experienceLevelCache: new Map(),
+
+  // Normalized search text per offer, built lazily
+  searchIndex: new WeakMap(),
+
+  // Filtering worker (null when unavailable: queries then run on the main thread)
+  worker: null,
+  workerQueries: new Map(), // query id -> { resolve, reject }
+  workerQueryId: 0,
+  latestFilterQuery: 0,
+
+  // Results of the last filter query
+  stats: null,
+  rangeFreeSalaries: null, // Gross annual salaries matching every filter but the salary range
+
+  // Compare mode: a second, independent filter state (selection B), null when not comparing
+  compareFilters: null,
+  compareOffers: null,
+  compareStats: null,
+  latestCompareQuery: 0,
+
+  /**
+   * Get an empty filter state
+   * @returns {object} Filters with no active selection
+   */
+  getDefaultFilters() {
+    return {
+      jobFamilies: [],
+      contractTypes: [],
+      departments: [],
+      regions: [],
+      dateRange: null,
+      search: '',
+      salaryRange: null,
+      experienceLevels: [],
+      qualifications: [],
+      sectors: [],
+      radius: null,
+      showFlaggedSalaries: false
+    };
   },
 
   /**
@@ -32,11 +109,12 @@ const DataProcessor = {
       try {
         const data = await this.fetchFromNetwork();
         if (data) {
-          this.data = data;
+          this.data = this.prepareData(data);
           this.filteredOffers = [...this.data.offers];
           this.dataSource = 'network';
           // Save to IndexedDB in background
           this.saveToStorage(data);
+          this.initWorker();
           return this.data;
         }
       } catch (error) {
@@ -47,10 +125,11 @@ const DataProcessor = {
     // Fallback to IndexedDB
     const cachedData = await this.loadFromStorage();
     if (cachedData) {
-      this.data = cachedData;
+      this.data = this.prepareData(cachedData);
       this.filteredOffers = [...this.data.offers];
       this.dataSource = 'cache';
       console.log('[DataProcessor] Loaded from IndexedDB cache');
+      this.initWorker();
       return this.data;
     }
 
@@ -58,6 +137,51 @@ const DataProcessor = {
     throw new Error('No data available. Please connect to the internet.');
   },
 
+  /**
+   * Derive per-offer fields the aggregation doesn't ship
+   * salaryMin/salaryMax: gross annual range parsed from salaryRaw (null when absent or unreadable)
+   * employmentStatus: EmploymentStatus status, which also sets salaryNetAnnual/salaryNetMonthly
+   * @param {object} data - Loaded data
+   * @returns {object} The same data
+   */
+  prepareData(data) {
+    data.offers.forEach(offer => {
+      const range = this.getRawSalaryRange(offer);
+      offer.salaryMin = range ? range.min : null;
+      offer.salaryMax = range ? range.max : null;
+
+      // Net salaries follow the inferred status instead of the aggregation's flat rate
+      offer.employmentStatus = EmploymentStatus.infer(offer).status;
+      const rate = SalaryUtils.getNetRate(offer.employmentStatus);
+      offer.salaryNetAnnual = SalaryUtils.grossToNet(offer.salaryGrossAnnual, rate);
+      offer.salaryNetMonthly = SalaryUtils.grossToNet(offer.salaryGrossMonthly, rate);
+    });
+    return data;
+  },
+
+  /**
+   * Gross annual salary range of an offer, consistent with its salaryGrossAnnual
+   * The aggregation re-reads some periods (e.g. "Mensuel de 25000 Euros" as annual): the range follows it
+   * @param {object} offer - Offer
+   * @returns {object|null} { min, max } or null when unreadable or not reconcilable with salaryGrossAnnual
+   */
+  getRawSalaryRange(offer) {
+    const raw = SalaryUtils.parseSalaryRaw(offer.salaryRaw);
+    if (!raw) return null;
+
+    const gross = offer.salaryGrossAnnual;
+    const months = raw.months || 12;
+    const periods = [raw.period, ...Object.values(SalaryUtils.RAW_PERIODS).filter(p => p !== raw.period)];
+
+    for (const period of periods) {
+      const min = Math.round(SalaryUtils.annualizeSalary(raw.min, period, months));
+      const max = Math.round(SalaryUtils.annualizeSalary(raw.max, period, months));
+      // One euro of slack for the aggregation's rounding
+      if (!gross || (gross >= min - 1 && gross <= max + 1)) return { min, max };
+    }
+    return null;
+  },
+
   /**
    * Fetch data from network
    * @returns {Promise<object|null>} The data or null
@@ -142,15 +266,19 @@ const DataProcessor = {
 
           if (newVersion && (!cachedVersion || newVersion > cachedVersion)) {
             console.log('[DataProcessor] Newer data available, refreshing...');
-            this.data = networkData;
+            this.data = this.prepareData(networkData);
             this.filteredOffers = [...this.data.offers];
+            this.stats = null;
+            this.rangeFreeSalaries = null;
             this.dataSource = 'network';
             this.saveToStorage(networkData);
+            this.initWorker();
 
             // Notify UI of data update
             window.dispatchEvent(new CustomEvent('dataRefreshed', {
               detail: { offers: this.filteredOffers }
             }));
+            if (this.isComparing()) this.runCompareFilters();
           }
         }
       } catch (error) {
@@ -192,155 +320,594 @@ const DataProcessor = {
     return filtered ? this.filteredOffers : this.data.offers;
   },
 
+  /**
+   * Start the filtering worker and send it the dataset
+   * Without worker support, filter queries run on the main thread
+   */
+  initWorker() {
+    if (!window.Worker) return;
+
+    if (!this.worker) {
+      try {
+        const version = document.querySelector('meta[name="build-version"]')?.content;
+        this.worker = new Worker(`js/data-worker.js${version ? `?v=${version}` : ''}`);
+      } catch (error) {
+        console.warn('[DataProcessor] Worker unavailable, filtering on main thread:', error.message);
+        return;
+      }
+      this.worker.addEventListener('message', (e) => this.handleWorkerMessage(e.data));
+      this.worker.addEventListener('error', (e) => this.handleWorkerError(e));
+    }
+
+    this.query('load', this.data).catch(() => {});
+  },
+
+  /**
+   * Send a query to the worker
+   * @param {string} type - Query type ('load' or 'filter')
+   * @param {*} payload - Query payload
+   * @returns {Promise<object>} Query result
+   */
+  query(type, payload) {
+    if (!this.worker) return Promise.reject(new Error('Worker unavailable'));
+
+    const id = ++this.workerQueryId;
+    return new Promise((resolve, reject) => {
+      this.workerQueries.set(id, { resolve, reject });
+      this.worker.postMessage({ id, type, payload });
+    });
+  },
+
+  /**
+   * Settle the query a worker response belongs to
+   * @param {object} message - { id, result } or { id, error }
+   */
+  handleWorkerMessage({ id, result, error }) {
+    const pending = this.workerQueries.get(id);
+    if (!pending) return;
+
+    this.workerQueries.delete(id);
+    if (error) {
+      pending.reject(new Error(error));
+    } else {
+      pending.resolve(result);
+    }
+  },
+
+  /**
+   * Drop a crashed worker and fail its pending queries (they rerun on the main thread)
+   * @param {ErrorEvent} event - Worker error event
+   */
+  handleWorkerError(event) {
+    console.warn('[DataProcessor] Worker failed, filtering on main thread:', event.message);
+    this.worker?.terminate();
+    this.worker = null;
+
+    this.workerQueries.forEach(({ reject }) => reject(new Error('Worker failed')));
+    this.workerQueries.clear();
+  },
+
   /**
    * Apply filters to the data
    * @param {object} newFilters - Filters to apply
+   * @returns {Promise<void>} Resolves once dataFiltered has been dispatched
    */
   applyFilters(newFilters) {
     this.filters = { ...this.filters, ...newFilters };
-    this.filteredOffers = this.data.offers.filter(offer => {
+    return this.runFilters();
+  },
+
+  /**
+   * Run the current filters and publish the result
+   * Results of queries superseded by a newer filter change are dropped
+   * @returns {Promise<void>} Resolves once dataFiltered has been dispatched
+   */
+  async runFilters() {
+    const queryId = ++this.latestFilterQuery;
+    const filters = this.filters;
+    const result = await this.queryFilters(filters);
+
+    if (queryId !== this.latestFilterQuery) return;
+
+    this.filteredOffers = result.offers;
+    this.stats = result.stats;
+    this.rangeFreeSalaries = result.salaries;
+
+    this.dispatchFiltered();
+  },
+
+  /**
+   * Run a filter query in the worker, or on the main thread when it is unavailable
+   * @param {object} filters - Filter state
+   * @returns {Promise<object>} { offers, stats, salaries }
+   */
+  async queryFilters(filters) {
+    try {
+      const { indices, stats, salaries } = await this.query('filter', filters);
+      return {
+        offers: Array.from(indices, i => this.data.offers[i]),
+        stats,
+        salaries: Array.from(salaries)
+      };
+    } catch (error) {
+      return this.runFilterQuery(filters);
+    }
+  },
+
+  /**
+   * Notify the UI that filter results changed
+   */
+  dispatchFiltered() {
+    // Dispatch event for chart updates
+    window.dispatchEvent(new CustomEvent('dataFiltered', {
+      detail: { offers: this.filteredOffers, filters: this.filters, compareFilters: this.compareFilters }
+    }));
+  },
+
+  /**
+   * Whether compare mode is on
+   * @returns {boolean}
+   */
+  isComparing() {
+    return this.compareFilters !== null;
+  },
+
+  /**
+   * Turn compare mode on
+   * @param {object} filters - Initial filters of selection B (defaults to a copy of selection A)
+   * @returns {Promise<void>} Resolves once dataFiltered has been dispatched
+   */
+  enableCompare(filters = this.filters) {
+    this.compareFilters = { ...this.getDefaultFilters(), ...filters };
+    this.compareOffers = null;
+    this.compareStats = null;
+    return this.runCompareFilters();
+  },
+
+  /**
+   * Turn compare mode off, keeping selection A
+   */
+  disableCompare() {
+    this.compareFilters = null;
+    this.compareOffers = null;
+    this.compareStats = null;
+    this.latestCompareQuery++;
+    this.dispatchFiltered();
+  },
+
+  /**
+   * Apply filters to selection B
+   * @param {object} newFilters - Filters to apply
+   * @returns {Promise<void>} Resolves once dataFiltered has been dispatched
+   */
+  applyCompareFilters(newFilters) {
+    this.compareFilters = { ...this.compareFilters, ...newFilters };
+    return this.runCompareFilters();
+  },
+
+  /**
+   * Reset selection B's filters
+   */
+  resetCompareFilters() {
+    this.compareFilters = this.getDefaultFilters();
+    return this.runCompareFilters();
+  },
+
+  /**
+   * Run selection B's filters and publish the result
+   * @returns {Promise<void>} Resolves once dataFiltered has been dispatched
+   */
+  async runCompareFilters() {
+    const queryId = ++this.latestCompareQuery;
+    const result = await this.queryFilters(this.compareFilters);
+
+    if (queryId !== this.latestCompareQuery || !this.isComparing()) return;
+
+    this.compareOffers = result.offers;
+    this.compareStats = result.stats;
+
+    this.dispatchFiltered();
+  },
+
+  /**
+   * Get selection B's offers
+   * @returns {array|null} Offers, or null when not comparing (or not computed yet)
+   */
+  getCompareOffers() {
+    return this.isComparing() ? this.compareOffers : null;
+  },
+
+  /**
+   * Get selection B's statistics
+   * @returns {object|null} Statistics object, or null when not comparing (or not computed yet)
+   */
+  getCompareStats() {
+    return this.isComparing() ? this.compareStats : null;
+  },
+
+  /**
+   * Filter offers and aggregate the result (what the worker runs for a 'filter' query)
+   * @param {object} filters - Filter state
+   * @returns {object} { offers, stats, salaries } where salaries ignore the salary range
+   */
+  runFilterQuery(filters) {
+    const offers = this.filterOffers(filters);
+    const rangeFree = filters.salaryRange ? this.filterOffers({ ...filters, salaryRange: null }) : offers;
+
+    return {
+      offers,
+      stats: this.computeStats(offers, filters.showFlaggedSalaries),
+      salaries: rangeFree.map(o => this.getSalary(o, filters.showFlaggedSalaries)).filter(Boolean)
+    };
+  },
+
+  /**
+   * Filter all offers against a filter state, without touching current state
+   * @param {object} filters - Filter state (missing keys count as inactive)
+   * @returns {array} Matching offers
+   */
+  filterOffers(filters) {
+    const {
+      jobFamilies = [],
+      contractTypes = [],
+      departments = [],
+      regions = [],
+      dateRange = null,
+      search = '',
+      salaryRange = null,
+      experienceLevels = [],
+      qualifications = [],
+      sectors = [],
+      radius = null,
+      showFlaggedSalaries = false
+    } = filters;
+    const searchTerms = this.getSearchTerms(search);
+
+    return this.data.offers.filter(offer => {
       // Job family filter
-      if (this.filters.jobFamilies.length > 0) {
-        if (!this.filters.jobFamilies.includes(offer.jobFamily)) return false;
+      if (jobFamilies.length > 0) {
+        if (!jobFamilies.includes(offer.jobFamily)) return false;
       }
 
       // Contract type filter
-      if (this.filters.contractTypes.length > 0) {
-        if (!this.filters.contractTypes.includes(offer.contractType)) return false;
+      if (contractTypes.length > 0) {
+        if (!contractTypes.includes(offer.contractType)) return false;
       }
 
       // Department filter
-      if (this.filters.departments.length > 0) {
-        if (!this.filters.departments.includes(offer.department)) return false;
+      if (departments.length > 0) {
+        if (!departments.includes(offer.department)) return false;
+      }
+
+      // Region filter
+      if (regions.length > 0) {
+        if (!regions.includes(Regions.getRegion(offer.department)?.code)) return false;
+      }
+
+      // Date range filter (ISO dates compare lexicographically)
+      if (dateRange) {
+        const { from, to } = dateRange;
+        if (from && offer.date < from) return false;
+        if (to && offer.date > to) return false;
+      }
+
+      // Experience level filter
+      if (experienceLevels.length > 0) {
+        if (!experienceLevels.includes(this.getExperienceLevel(offer.experience))) return false;
+      }
+
+      // Qualification filter
+      if (qualifications.length > 0) {
+        if (!qualifications.includes(offer.qualification || 'Non précisé')) return false;
+      }
+
+      // Sector filter (NAF division)
+      if (sectors.length > 0) {
+        if (!sectors.includes(offer.sectorCode || 'Non précisé')) return false;
+      }
+
+      // Radius filter (offers without coordinates can't be placed)
+      if (radius) {
+        if (offer.lat == null || offer.lng == null) return false;
+        if (this.distanceKm(radius.lat, radius.lng, offer.lat, offer.lng) > radius.km) return false;
+      }
+
+      // Full-text search filter
+      if (searchTerms.length > 0) {
+        if (!this.matchesSearch(offer, searchTerms)) return false;
+      }
+
+      // Salary range filter (bounds are gross annual)
+      if (salaryRange) {
+        const salary = this.getSalary(offer, showFlaggedSalaries);
+        if (!salary) return salaryRange.includeUnknown;
+        if (salaryRange.min !== null && salary < salaryRange.min) return false;
+        if (salaryRange.max !== null && salary > salaryRange.max) return false;
       }
 
       return true;
     });
+  },
 
-    // Dispatch event for chart updates
-    window.dispatchEvent(new CustomEvent('dataFiltered', {
-      detail: { offers: this.filteredOffers, filters: this.filters }
-    }));
+  /**
+   * Map a raw experience string to one of EXPERIENCE_LEVELS
+   * Handles "Débutant accepté", "2 An(s)", "18 Mois", "Expérience exigée de 3 An(s)",
+   * "Expérience exigée (de 3 à 5 ans)" and "(plus de 10 ans)", with optional " - comment" suffixes
+   * @param {string|null} raw - The offer's experience field
+   * @returns {string} Experience level
+   */
+  getExperienceLevel(raw) {
+    if (!raw) return 'Non précisé';
+    if (this.experienceLevelCache.has(raw)) return this.experienceLevelCache.get(raw);
+
+    let level;
+    // "de 3 à 5 ans" counts as its lower bound
+    const years = raw.match(/(\d+)\s*à\s*\d+\s*an/i) || raw.match(/(\d+)\s*an/i);
+    const months = raw.match(/(\d+)\s*mois/i);
+
+    if (/^débutant/i.test(raw)) {
+      level = 'Débutant accepté';
+    } else if (years || months) {
+      const duration = years ? Number(years[1]) : Number(months[1]) / 12;
+      if (duration < 1) level = 'Moins d\'1 an';
+      else if (duration < 3) level = '1 à 2 ans';
+      else if (duration < 5) level = '3 à 4 ans';
+      else if (duration < 10) level = '5 à 9 ans';
+      else level = '10 ans et plus';
+    } else {
+      level = 'Expérience requise (durée NC)';
+    }
+
+    this.experienceLevelCache.set(raw, level);
+    return level;
+  },
+
+  /**
+   * Normalize text for accent- and case-insensitive matching
+   * @param {string} text - Text to normalize
+   * @returns {string} Lowercase text without diacritics, words separated by single spaces
+   */
+  normalizeText(text) {
+    if (!text) return '';
+    return String(text)
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+  },
+
+  /**
+   * Split a search query into normalized terms
+   * @param {string} query - Raw search query
+   * @returns {string[]} Search terms
+   */
+  getSearchTerms(query) {
+    const normalized = this.normalizeText(query);
+    return normalized ? normalized.split(' ') : [];
+  },
+
+  /**
+   * Check whether an offer matches every search term
+   * Terms match at the start of a word, so "archiv" finds "Archiviste"
+   * but "ged" does not match inside "managed"
+   * @param {object} offer - The offer
+   * @param {string[]} terms - Normalized search terms
+   * @returns {boolean} True if all terms match
+   */
+  matchesSearch(offer, terms) {
+    let text = this.searchIndex.get(offer);
+    if (text === undefined) {
+      text = ' ' + this.normalizeText([offer.title, offer.company, offer.departmentName].join(' '));
+      this.searchIndex.set(offer, text);
+    }
+    return terms.every(term => text.includes(' ' + term));
   },
 
   /**
    * Reset all filters
    */
   resetFilters() {
-    this.filters = {
-      jobFamilies: [],
-      contractTypes: [],
-      departments: [],
-      dateRange: null
-    };
-    this.filteredOffers = [...this.data.offers];
-
-    window.dispatchEvent(new CustomEvent('dataFiltered', {
-      detail: { offers: this.filteredOffers, filters: this.filters }
-    }));
+    this.filters = this.getDefaultFilters();
+    return this.runFilters();
   },
 
   /**
    * Get statistics for filtered data
-   * @returns {object} Statistics object
+   * @returns {object} Statistics object (computed once per filter change)
    */
   getStats() {
-    const offers = this.filteredOffers;
-    const withSalary = offers.filter(o => o.salaryGrossAnnual !== null);
-
-    // By job family
-    const byJobFamily = {};
-    offers.forEach(o => {
-      if (!byJobFamily[o.jobFamily]) {
-        byJobFamily[o.jobFamily] = { count: 0, salaries: [] };
-      }
-      byJobFamily[o.jobFamily].count++;
-      if (o.salaryGrossAnnual) {
-        byJobFamily[o.jobFamily].salaries.push(o.salaryGrossAnnual);
-      }
-    });
+    if (!this.stats) {
+      this.stats = this.computeStats(this.filteredOffers);
+    }
+    return this.stats;
+  },
 
-    // Calculate salary stats
-    for (const family in byJobFamily) {
-      byJobFamily[family].salaryStats = SalaryUtils.calculateStats(byJobFamily[family].salaries);
-      delete byJobFamily[family].salaries;
+  /**
+   * Get gross annual salaries matching every filter except the salary range
+   * @returns {number[]} Salaries (used by the salary filter histogram)
+   */
+  getRangeFreeSalaries() {
+    if (!this.rangeFreeSalaries) {
+      this.rangeFreeSalaries = this.filterOffers({ ...this.filters, salaryRange: null })
+        .map(o => this.getSalary(o))
+        .filter(Boolean);
     }
+    return this.rangeFreeSalaries;
+  },
 
-    // By contract type
-    const byContractType = {};
-    offers.forEach(o => {
-      const type = o.contractType || 'Non précisé';
-      if (!byContractType[type]) {
-        byContractType[type] = { count: 0, salaries: [] };
-      }
-      byContractType[type].count++;
-      if (o.salaryGrossAnnual) {
-        byContractType[type].salaries.push(o.salaryGrossAnnual);
-      }
-    });
+  /**
+   * Gross annual salary of an offer as used in statistics
+   * @param {object} offer - Offer
+   * @param {boolean} showFlagged - Keep flagged salaries as published (defaults to the current filter)
+   * @returns {number|null} Salary, corrected salary, or null (no salary or excluded by SalaryQuality)
+   */
+  getSalary(offer, showFlagged = this.filters.showFlaggedSalaries) {
+    return SalaryQuality.getSalary(offer, showFlagged);
+  },
 
-    for (const type in byContractType) {
-      byContractType[type].salaryStats = SalaryUtils.calculateStats(byContractType[type].salaries);
-      delete byContractType[type].salaries;
-    }
+  /**
+   * Grouping key of each statistics dimension
+   * @returns {object} Dimension (e.g. 'byJobFamily') -> function(offer) returning the group key
+   */
+  getStatsDimensions() {
+    return {
+      byJobFamily: o => o.jobFamily,
+      byContractType: o => o.contractType || 'Non précisé',
+      byDepartment: o => o.department || 'Inconnu',
+      byRegion: o => Regions.getRegion(o.department)?.code || 'Inconnu',
+      bySector: o => o.sector || 'Non précisé',
+      byExperience: o => this.getExperienceLevel(o.experience),
+      byQualification: o => o.qualification || 'Non précisé'
+    };
+  },
 
-    // By department
-    const byDepartment = {};
+  /**
+   * Collect the gross annual salaries of each group of a statistics dimension
+   * @param {array} offers - Offers to group
+   * @param {string} dimension - Dimension name (e.g. 'byJobFamily')
+   * @param {boolean} showFlagged - Keep flagged salaries as published (defaults to the current filter)
+   * @returns {Map<string, number[]>} Group key -> salaries (groups without salary are left out)
+   */
+  groupSalaries(offers, dimension, showFlagged = this.filters.showFlaggedSalaries) {
+    const key = this.getStatsDimensions()[dimension];
+    const groups = new Map();
     offers.forEach(o => {
-      const dept = o.department || 'Inconnu';
-      if (!byDepartment[dept]) {
-        byDepartment[dept] = {
-          name: this.data.departments[dept] || dept,
-          count: 0,
-          salaries: []
-        };
-      }
-      byDepartment[dept].count++;
-      if (o.salaryGrossAnnual) {
-        byDepartment[dept].salaries.push(o.salaryGrossAnnual);
-      }
+      const salary = this.getSalary(o, showFlagged);
+      if (!salary) return;
+      const group = key(o);
+      if (!groups.has(group)) groups.set(group, []);
+      groups.get(group).push(salary);
     });
+    return groups;
+  },
 
-    for (const dept in byDepartment) {
-      byDepartment[dept].salaryStats = SalaryUtils.calculateStats(byDepartment[dept].salaries);
-      delete byDepartment[dept].salaries;
+  /**
+   * Aggregate offers by job family, contract, department, region, sector, experience and qualification
+   * @param {array} offers - Offers to aggregate
+   * @param {boolean} showFlagged - Keep flagged salaries as published (defaults to the current filter)
+   * @param {string[]|null} only - Dimensions to compute (e.g. ['byDepartment']), null for all of them
+   * @returns {object} Statistics object
+   */
+  computeStats(offers, showFlagged = this.filters.showFlaggedSalaries, only = null) {
+    const dimensions = this.getStatsDimensions();
+    if (only) {
+      Object.keys(dimensions).forEach(dim => {
+        if (!only.includes(dim)) delete dimensions[dim];
+      });
     }
 
-    // By sector
-    const bySector = {};
+    const groups = {};
+    for (const dim in dimensions) {
+      groups[dim] = {};
+    }
+
+    // Single pass: bucket each offer in every dimension
+    const overall = this.createSalaryGroup();
     offers.forEach(o => {
-      const sector = o.sector || 'Non précisé';
-      if (!bySector[sector]) {
-        bySector[sector] = { count: 0, salaries: [] };
-      }
-      bySector[sector].count++;
-      if (o.salaryGrossAnnual) {
-        bySector[sector].salaries.push(o.salaryGrossAnnual);
+      const salary = this.getSalary(o, showFlagged);
+      if (salary) this.addToSalaryGroup(overall, o, salary);
+
+      for (const dim in dimensions) {
+        const key = dimensions[dim](o);
+        if (!groups[dim][key]) {
+          groups[dim][key] = this.createSalaryGroup();
+        }
+        groups[dim][key].count++;
+        if (salary) this.addToSalaryGroup(groups[dim][key], o, salary);
       }
     });
 
-    for (const sector in bySector) {
-      bySector[sector].salaryStats = SalaryUtils.calculateStats(bySector[sector].salaries);
-      delete bySector[sector].salaries;
+    // Calculate salary stats
+    for (const dim in groups) {
+      for (const key in groups[dim]) {
+        this.finishSalaryGroup(groups[dim][key]);
+      }
+    }
+    this.finishSalaryGroup(overall, false);
+
+    for (const dept in groups.byDepartment) {
+      groups.byDepartment[dept].name = this.data.departments[dept] || dept;
+    }
+    for (const region in groups.byRegion) {
+      groups.byRegion[region].name = Regions.get(region)?.name || region;
     }
 
     return {
       total: offers.length,
-      withSalary: withSalary.length,
-      byJobFamily,
-      byContractType,
-      byDepartment,
-      bySector
+      withSalary: overall.withSalary,
+      statuses: overall.statuses,
+      netRate: overall.netRate,
+      unitFactors: overall.unitFactors,
+      ...groups
     };
   },
 
+  /**
+   * Start an offer group for salary statistics
+   * Employment statuses and dates of the salaries are tallied too, so medians convert to net,
+   * SMIC multiples or constant euros with the right mix
+   * @returns {object} Empty group
+   */
+  createSalaryGroup() {
+    return { count: 0, salaries: [], statuses: {}, factorSums: { smic: 0, constant: 0 } };
+  },
+
+  /**
+   * Add a salaried offer to a group
+   * @param {object} group - Group from createSalaryGroup
+   * @param {object} offer - Offer
+   * @param {number} salary - Its salary (see getSalary)
+   */
+  addToSalaryGroup(group, offer, salary) {
+    const factors = SalaryIndex.getFactors(offer.date);
+    group.salaries.push(salary);
+    group.statuses[offer.employmentStatus] = (group.statuses[offer.employmentStatus] || 0) + 1;
+    group.factorSums.smic += factors.smic;
+    group.factorSums.constant += factors.constant;
+  },
+
+  /**
+   * Turn a group's tallies into its published fields
+   * @param {object} group - Group from createSalaryGroup, modified in place
+   * @param {boolean} withStats - Compute salaryStats (percentiles and bootstrap interval)
+   * @returns {object} { count, withSalary, salaryStats, statuses, netRate, unitFactors }
+   */
+  finishSalaryGroup(group, withStats = true) {
+    const n = group.salaries.length;
+    group.withSalary = n;
+    if (withStats) group.salaryStats = SalaryUtils.calculateStats(group.salaries);
+    group.netRate = SalaryUtils.blendNetRate(group.statuses);
+    group.unitFactors = n ? { smic: group.factorSums.smic / n, constant: group.factorSums.constant / n } : null;
+    delete group.factorSums;
+    delete group.salaries;
+    return group;
+  },
+
+  /**
+   * Salary statistics of a set of offers, as one group of computeStats
+   * @param {array} offers - Offers
+   * @param {boolean} showFlagged - Keep flagged salaries as published (defaults to the current filter)
+   * @returns {object} { count, withSalary, salaryStats, statuses, netRate, unitFactors }
+   */
+  getSalaryGroup(offers, showFlagged = this.filters.showFlaggedSalaries) {
+    const group = this.createSalaryGroup();
+    offers.forEach(o => {
+      group.count++;
+      const salary = this.getSalary(o, showFlagged);
+      if (salary) this.addToSalaryGroup(group, o, salary);
+    });
+    return this.finishSalaryGroup(group);
+  },
+
   /**
    * Get offers grouped by date for timeline
+   * @param {array} offers - Offers to group (defaults to the filtered offers)
    * @returns {object} Offers by date
    */
-  getOffersByDate() {
+  getOffersByDate(offers = this.filteredOffers) {
     const byDate = {};
-    this.filteredOffers.forEach(offer => {
+    offers.forEach(offer => {
       if (!byDate[offer.date]) {
         byDate[offer.date] = [];
       }
@@ -352,11 +919,12 @@ const DataProcessor = {
   /**
    * Get top employers
    * @param {number} limit - Number of employers to return
+   * @param {array} offers - Offers to count (defaults to the filtered offers)
    * @returns {array} Top employers with counts
    */
-  getTopEmployers(limit = 10) {
+  getTopEmployers(limit = 10, offers = this.filteredOffers) {
     const employers = {};
-    this.filteredOffers.forEach(o => {
+    offers.forEach(o => {
       if (o.company) {
         employers[o.company] = (employers[o.company] || 0) + 1;
       }
@@ -368,6 +936,86 @@ const DataProcessor = {
       .map(([name, count]) => ({ name, count }));
   },
 
+  /**
+   * Great-circle distance between two points (haversine)
+   * @param {number} lat1 - Latitude of the first point
+   * @param {number} lng1 - Longitude of the first point
+   * @param {number} lat2 - Latitude of the second point
+   * @param {number} lng2 - Longitude of the second point
+   * @returns {number} Distance in km
+   */
+  distanceKm(lat1, lng1, lat2, lng2) {
+    const toRad = deg => deg * Math.PI / 180;
+    const dLat = toRad(lat2 - lat1);
+    const dLng = toRad(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+    return 2 * 6371 * Math.asin(Math.sqrt(a));
+  },
+
+  /**
+   * Group offers by NAF section → division → sector label
+   * Offers without sector are left out
+   * @param {array} offers - Offers to group (defaults to the filtered offers)
+   * @returns {object} Tree of { code, name, children } with leaves { code, name, value }
+   */
+  getSectorHierarchy(offers = this.filteredOffers) {
+    const root = { code: null, name: 'Tous les secteurs', children: [] };
+    const sections = {};
+    const divisions = {};
+    const leaves = {};
+
+    offers.forEach(o => {
+      if (!o.sectorCode) return;
+
+      const section = NafSectors.getSection(o.sectorCode) || { code: '?', label: 'Section inconnue' };
+      if (!sections[section.code]) {
+        sections[section.code] = { code: section.code, name: section.label, children: [] };
+        root.children.push(sections[section.code]);
+      }
+
+      if (!divisions[o.sectorCode]) {
+        divisions[o.sectorCode] = {
+          code: o.sectorCode,
+          name: NafSectors.getDivisionLabel(o.sectorCode),
+          children: []
+        };
+        sections[section.code].children.push(divisions[o.sectorCode]);
+      }
+
+      const label = o.sector || 'Non précisé';
+      const key = `${o.sectorCode}|${label}`;
+      if (!leaves[key]) {
+        leaves[key] = { code: o.sectorCode, name: label, value: 0 };
+        divisions[o.sectorCode].children.push(leaves[key]);
+      }
+      leaves[key].value++;
+    });
+
+    return root;
+  },
+
+  /**
+   * Get the date range of a calendar quarter, clamped to the collection period
+   * @param {number} quarter - Quarter number (1-4)
+   * @returns {object} Date range { from, to } as ISO dates
+   */
+  getQuarterRange(quarter) {
+    const { first, last } = this.data.meta.dateRange;
+    const year = first.slice(0, 4);
+    const startMonth = (quarter - 1) * 3 + 1;
+    const endDay = new Date(Date.UTC(Number(year), startMonth + 2, 0)).getUTCDate();
+    const pad = n => String(n).padStart(2, '0');
+
+    const from = `${year}-${pad(startMonth)}-01`;
+    const to = `${year}-${pad(startMonth + 2)}-${pad(endDay)}`;
+
+    return {
+      from: from < first ? first : from,
+      to: to > last ? last : to
+    };
+  },
+
   /**
    * Get unique values for a field
    * @param {string} field - Field name
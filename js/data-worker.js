@@ -0,0 +1,57 @@
+/**
+ * Data Worker
+ * Holds a copy of the dataset and answers filter/stats queries off the main thread
+ * Reuses the DataProcessor filtering and aggregation code
+ *
+ * Messages in:  { id, type: 'load', payload: data }
+ *               { id, type: 'filter', payload: filters }
+ * Messages out: { id, result } or { id, error }
+ */
+
+// Shared modules export themselves on window
+self.window = self;
+
+// Keep the page's ?v= build version so the service worker cache stays consistent
+const version = self.location.search;
+importScripts(
+  `salary-utils.js${version}`,
+  `salary-index.js${version}`,
+  `salary-quality.js${version}`,
+  `naf-sectors.js${version}`,
+  `regions.js${version}`,
+  `data-processor.js${version}`
+);
+
+// Offer object -> position in data.offers, so results cross the boundary as indices
+let offerIndex = new Map();
+
+const handlers = {
+  load(data) {
+    DataProcessor.data = data;
+    DataProcessor.searchIndex = new WeakMap();
+    offerIndex = new Map(data.offers.map((offer, i) => [offer, i]));
+    return { count: data.offers.length };
+  },
+
+  filter(filters) {
+    const { offers, stats, salaries } = DataProcessor.runFilterQuery(filters);
+    return {
+      indices: Int32Array.from(offers, offer => offerIndex.get(offer)),
+      stats,
+      salaries: Float64Array.from(salaries)
+    };
+  }
+};
+
+self.addEventListener('message', (event) => {
+  const { id, type, payload } = event.data;
+
+  try {
+    if (!handlers[type]) throw new Error(`Unknown query type: ${type}`);
+    const result = handlers[type](payload);
+    const transfer = result.indices ? [result.indices.buffer, result.salaries.buffer] : [];
+    self.postMessage({ id, result }, transfer);
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+});
@@ -0,0 +1,465 @@
+/**
+ * Department Comparison
+ * Side-by-side view of 2 to 5 departments: job families, contract mix, salary spread and top employers
+ * The compared departments are kept apart from the department filter (shared as /comparer?comparaison=33,35,69):
+ * every other filter still applies, and they only become the filter when the user applies them
+ */
+
+const DepartmentComparison = {
+  MIN: 2,
+  MAX: 5,
+  COLORS: ['#2563eb', '#10b981', '#f59e0b', '#8b5cf6', '#ef4444'],
+  instances: {},
+
+  // Department codes being compared
+  departments: [],
+
+  /**
+   * Initialize the comparison tab controls
+   */
+  init() {
+    document.getElementById('compare-share')?.addEventListener('click', () => this.copyLink());
+    document.getElementById('compare-apply')?.addEventListener('click', () => this.applyAsFilter());
+    document.getElementById('compare-from-filter')?.addEventListener('click', () => {
+      this.open(DataProcessor.filters.departments || []);
+    });
+    document.getElementById('compare-add')?.addEventListener('change', (e) => {
+      if (e.target.value) this.open([...this.departments, e.target.value]);
+    });
+  },
+
+  /**
+   * Compare departments and open the tab (the department filter is left untouched)
+   * @param {Array<string>} codes - Department codes
+   */
+  open(codes) {
+    this.setDepartments(codes);
+    if (App.currentTab === 'compare') {
+      Router.navigate('compare', null, true);
+    } else {
+      document.querySelector('.tab-btn[data-tab="compare"]')?.click();
+    }
+  },
+
+  /**
+   * Set the compared departments (duplicates dropped, at most MAX) and re-render if visible
+   * @param {Array<string>} codes - Department codes
+   */
+  setDepartments(codes) {
+    this.departments = [...new Set(codes)].slice(0, this.MAX);
+    if (App.currentTab === 'compare') this.update();
+  },
+
+  /**
+   * Departments being compared
+   * @returns {Array<string>} Department codes
+   */
+  getDepartments() {
+    return this.departments;
+  },
+
+  /**
+   * Make the compared departments the department filter, on the user's request
+   */
+  applyAsFilter() {
+    App.selectedDepts = new Set(this.departments);
+    App.refreshMultiSelects();
+    App.applyFilters();
+  },
+
+  /**
+   * Offers and stats of each compared department, under every filter but the department one
+   * @returns {Array<object>} { code, name, color, offers, stats }
+   */
+  getColumns() {
+    const departments = this.getDepartments();
+    const offers = DataProcessor.filterOffers({ ...DataProcessor.filters, departments });
+    const byDept = d3.group(offers, o => o.department);
+    const names = DataProcessor.getData().departments;
+
+    return departments.map((code, i) => {
+      const offers = byDept.get(code) || [];
+      return {
+        code,
+        name: names[code] || code,
+        color: this.COLORS[i],
+        offers,
+        stats: DataProcessor.computeStats(offers)
+      };
+    });
+  },
+
+  /**
+   * Fill the department picker with the departments not yet compared
+   */
+  renderPicker() {
+    const select = document.getElementById('compare-add');
+    if (!select) return;
+
+    const names = DataProcessor.getData().departments || {};
+    const options = DataProcessor.getUniqueValues('department')
+      .filter(code => !this.departments.includes(code))
+      .map(code => `<option value="${OffersModal.escapeHtml(code)}">${OffersModal.escapeHtml(names[code] ? `${code} – ${names[code]}` : code)}</option>`);
+
+    const full = this.departments.length >= this.MAX;
+    select.innerHTML = `<option value="">${full ? `${this.MAX} départements au plus` : 'Choisir…'}</option>` + options.join('');
+    select.disabled = full;
+  },
+
+  /**
+   * Re-render the comparison for the current filters
+   */
+  update() {
+    const empty = document.getElementById('compare-empty');
+    const content = document.getElementById('compare-content');
+    if (!empty || !content) return;
+
+    const count = this.getDepartments().length;
+    const ready = count >= this.MIN;
+
+    empty.hidden = ready;
+    content.hidden = !ready;
+    this.renderPicker();
+
+    if (!ready) {
+      this.destroyCharts();
+      empty.querySelector('.compare-empty-count').textContent =
+        `${count} département${count > 1 ? 's' : ''} sélectionné${count > 1 ? 's' : ''}.`;
+
+      // Offer the department filter as a starting point
+      const filtered = DataProcessor.filters.departments || [];
+      const fromFilter = document.getElementById('compare-from-filter');
+      if (fromFilter) fromFilter.hidden = filtered.length < this.MIN;
+      return;
+    }
+
+    const columns = this.getColumns();
+    this.renderSummary(columns);
+    this.renderJobFamilyChart(columns);
+    this.renderContractChart(columns);
+    this.renderSalaryBoxPlot(columns);
+    this.renderEmployers(columns);
+  },
+
+  /**
+   * Destroy all comparison charts
+   */
+  destroyCharts() {
+    Object.keys(this.instances).forEach(id => {
+      this.instances[id].destroy();
+      delete this.instances[id];
+    });
+  },
+
+  /**
+   * One card per department: offers and median salary
+   */
+  renderSummary(columns) {
+    const container = document.getElementById('compare-summary');
+    if (!container) return;
+
+    container.innerHTML = columns.map(col => {
+      const group = col.stats.byDepartment[col.code];
+      const salary = group?.salaryStats;
+      const median = SalaryUtils.isSufficient(salary)
+        ? Charts.formatSalary(Charts.convertSalary(salary.median, group))
+        : SalaryUtils.formatMedian(salary, true);
+      return `
+        <div class="compare-card" style="border-top-color: ${col.color};">
+          <h4>${col.name} (${col.code})</h4>
+          <div class="compare-card-stats">
+            <div>
+              <span class="compare-card-label">Offres</span>
+              <strong>${col.stats.total}</strong>
+            </div>
+            <div>
+              <span class="compare-card-label">Salaire médian</span>
+              <strong>${median}${salary ? ` <span class="count-badge">(n=${salary.count})</span>` : ''}</strong>
+            </div>
+          </div>
+          <button class="btn btn-secondary compare-card-remove" data-code="${col.code}">Retirer</button>
+        </div>
+      `;
+    }).join('');
+
+    container.querySelectorAll('.compare-card-remove').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.open(this.getDepartments().filter(code => code !== btn.dataset.code));
+      });
+    });
+  },
+
+  /**
+   * Horizontal grouped bars: share of each job family within each department
+   */
+  renderJobFamilyChart(columns) {
+    const ctx = document.getElementById('chart-compare-families');
+    if (!ctx) return;
+
+    // Families in overall order, so bars line up across departments
+    const totals = new Map();
+    columns.forEach(col => {
+      Object.entries(col.stats.byJobFamily).forEach(([family, data]) => {
+        totals.set(family, (totals.get(family) || 0) + data.count);
+      });
+    });
+    const families = Array.from(totals.keys()).sort((a, b) => totals.get(b) - totals.get(a));
+
+    this.renderChart('families', ctx, {
+      type: 'bar',
+      data: {
+        labels: families,
+        datasets: columns.map(col => ({
+          label: col.name,
+          data: families.map(f => this.share(col.stats.byJobFamily[f]?.count, col.stats.total)),
+          backgroundColor: col.color
+        }))
+      },
+      options: this.shareChartOptions({ indexAxis: 'y' })
+    });
+  },
+
+  /**
+   * 100% stacked bars: contract types within each department
+   */
+  renderContractChart(columns) {
+    const ctx = document.getElementById('chart-compare-contracts');
+    if (!ctx) return;
+
+    const totals = new Map();
+    columns.forEach(col => {
+      Object.entries(col.stats.byContractType).forEach(([type, data]) => {
+        totals.set(type, (totals.get(type) || 0) + data.count);
+      });
+    });
+    const types = Array.from(totals.keys()).sort((a, b) => totals.get(b) - totals.get(a));
+    const palette = ['#2563eb', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#64748b'];
+
+    this.renderChart('contracts', ctx, {
+      type: 'bar',
+      data: {
+        labels: columns.map(col => col.name),
+        datasets: types.map((type, i) => ({
+          label: type,
+          data: columns.map(col => this.share(col.stats.byContractType[type]?.count, col.stats.total)),
+          backgroundColor: palette[i % palette.length]
+        }))
+      },
+      options: this.shareChartOptions({ indexAxis: 'y', stacked: true })
+    });
+  },
+
+  /**
+   * Create (or replace) a comparison chart
+   */
+  renderChart(id, ctx, config) {
+    if (this.instances[id]) {
+      this.instances[id].destroy();
+    }
+    this.instances[id] = new Chart(ctx, config);
+  },
+
+  /**
+   * Options shared by the percentage charts
+   * @param {object} opts - { indexAxis, stacked }
+   */
+  shareChartOptions({ indexAxis, stacked = false }) {
+    const valueAxis = indexAxis === 'y' ? 'x' : 'y';
+    const categoryAxis = indexAxis === 'y' ? 'y' : 'x';
+
+    return {
+      indexAxis,
+      responsive: true,
+      plugins: {
+        legend: {
+          position: 'bottom',
+          labels: { boxWidth: 12, font: { size: 11 } }
+        },
+        tooltip: {
+          callbacks: {
+            label: ctx => `${ctx.dataset.label}: ${ctx.raw.toLocaleString('fr-FR', { maximumFractionDigits: 1 })} %`
+          }
+        }
+      },
+      scales: {
+        [valueAxis]: {
+          stacked,
+          max: stacked ? 100 : undefined,
+          ticks: { callback: v => `${v} %` }
+        },
+        [categoryAxis]: { stacked }
+      }
+    };
+  },
+
+  /**
+   * Percentage share
+   * @param {number} count - Part
+   * @param {number} total - Whole
+   * @returns {number} Share in percent (0 when total is 0)
+   */
+  share(count, total) {
+    return total ? (count || 0) / total * 100 : 0;
+  },
+
+  /**
+   * Salary box plots on a shared axis: min-max whiskers, Q1-Q3 box, median line
+   * Values follow the salary display settings, converted with each department's employment-status mix
+   */
+  renderSalaryBoxPlot(columns) {
+    const container = document.getElementById('compare-salary-boxplot');
+    if (!container) return;
+
+    const unit = document.getElementById('compare-salary-unit');
+    if (unit) unit.textContent = Charts.getSalaryLabel();
+
+    const rows = columns.map(col => {
+      const group = col.stats.byDepartment[col.code];
+      const stats = group?.salaryStats;
+      if (!stats) return { ...col, salary: null };
+
+      const convert = v => Charts.convertSalary(v, group);
+      return {
+        ...col,
+        salary: {
+          ...stats,
+          min: convert(stats.min),
+          q1: convert(stats.q1),
+          median: convert(stats.median),
+          q3: convert(stats.q3),
+          max: convert(stats.max)
+        }
+      };
+    });
+    const withSalary = rows.filter(row => row.salary);
+
+    container.innerHTML = '';
+    if (withSalary.length === 0) {
+      container.innerHTML = '<p class="text-muted">Aucun salaire renseigné pour ces départements</p>';
+      return;
+    }
+
+    const rowHeight = 36;
+    const margin = { top: 8, right: 16, bottom: 28, left: 140 };
+    const width = container.clientWidth || 600;
+    const height = margin.top + margin.bottom + rows.length * rowHeight;
+
+    const x = d3.scaleLinear()
+      .domain([d3.min(withSalary, r => r.salary.min), d3.max(withSalary, r => r.salary.max)])
+      .nice()
+      .range([margin.left, width - margin.right]);
+    const y = d3.scaleBand()
+      .domain(rows.map(r => r.code))
+      .range([margin.top, height - margin.bottom])
+      .padding(0.35);
+
+    const svg = d3.select(container)
+      .append('svg')
+      .attr('width', width)
+      .attr('height', height)
+      .attr('viewBox', `0 0 ${width} ${height}`)
+      .attr('role', 'img')
+      .attr('aria-label', `Distribution des salaires par département (${Charts.getSalaryLabel()})`);
+
+    svg.append('g')
+      .attr('transform', `translate(0,${height - margin.bottom})`)
+      .call(d3.axisBottom(x).ticks(5).tickFormat(v => Charts.formatSalary(v)));
+
+    const row = svg.selectAll('.compare-box')
+      .data(rows)
+      .join('g')
+      .attr('class', 'compare-box')
+      .attr('transform', d => `translate(0,${y(d.code)})`);
+
+    row.append('text')
+      .attr('class', 'compare-box-label')
+      .attr('x', margin.left - 8)
+      .attr('y', y.bandwidth() / 2)
+      .attr('dy', '0.35em')
+      .attr('text-anchor', 'end')
+      .text(d => `${d.name} (n=${d.salary ? d.salary.count : 0})`);
+
+    const boxes = row.filter(d => d.salary);
+    const mid = y.bandwidth() / 2;
+
+    boxes.append('line')
+      .attr('x1', d => x(d.salary.min))
+      .attr('x2', d => x(d.salary.max))
+      .attr('y1', mid)
+      .attr('y2', mid)
+      .attr('stroke', d => d.color);
+
+    boxes.append('rect')
+      .attr('x', d => x(d.salary.q1))
+      .attr('width', d => Math.max(x(d.salary.q3) - x(d.salary.q1), 1))
+      .attr('height', y.bandwidth())
+      .attr('fill', d => d.color)
+      .attr('fill-opacity', 0.25)
+      .attr('stroke', d => d.color);
+
+    boxes.append('line')
+      .attr('x1', d => x(d.salary.median))
+      .attr('x2', d => x(d.salary.median))
+      .attr('y1', 0)
+      .attr('y2', y.bandwidth())
+      .attr('stroke', d => d.color)
+      .attr('stroke-width', 3);
+
+    boxes.append('title')
+      .text(d => `${d.name} : médiane ${Charts.formatSalary(d.salary.median)}, ` +
+        `Q1 ${Charts.formatSalary(d.salary.q1)}, Q3 ${Charts.formatSalary(d.salary.q3)} (n=${d.salary.count})` +
+        (SalaryUtils.isSufficient(d.salary) ? '' : ` : ${SalaryUtils.INSUFFICIENT_LABEL}`));
+
+    row.filter(d => !d.salary)
+      .append('text')
+      .attr('class', 'compare-box-empty')
+      .attr('x', margin.left)
+      .attr('y', mid)
+      .attr('dy', '0.35em')
+      .text('NC');
+  },
+
+  /**
+   * Top 5 employers of each department
+   */
+  renderEmployers(columns) {
+    const container = document.getElementById('compare-employers');
+    if (!container) return;
+
+    container.innerHTML = columns.map(col => {
+      const employers = DataProcessor.getTopEmployers(5, col.offers);
+      return `
+        <div class="compare-employers-col" style="border-top-color: ${col.color};">
+          <h4>${col.name}</h4>
+          ${employers.length > 0 ? `
+            <ol>
+              ${employers.map(e => `<li>${OffersModal.escapeHtml(e.name)} <span class="count-badge">(${e.count})</span></li>`).join('')}
+            </ol>
+          ` : '<p class="text-muted">Aucun employeur renseigné</p>'}
+        </div>
+      `;
+    }).join('');
+  },
+
+  /**
+   * Copy the shareable URL of the comparison
+   */
+  async copyLink() {
+    const btn = document.getElementById('compare-share');
+    const url = Router.getShareableURL();
+
+    try {
+      await navigator.clipboard.writeText(url);
+      if (btn) {
+        const label = btn.textContent;
+        btn.textContent = 'Lien copié';
+        setTimeout(() => { btn.textContent = label; }, 2000);
+      }
+    } catch (error) {
+      window.prompt('Copiez ce lien :', url);
+    }
+  }
+};
+
+// Export
+window.DepartmentComparison = DepartmentComparison;
@@ -45,7 +45,7 @@ const DossierMetiers = {
             </div>
           </div>
 
-          ${salary ? `
+          ${SalaryUtils.isSufficient(salary) ? `
             <div class="dossier-salary">
               <h5>Fourchette de salaires (brut annuel)</h5>
               <div class="salary-range">
@@ -55,11 +55,12 @@ const DossierMetiers = {
               </div>
               <p style="text-align: center; margin-top: 8px; font-size: 14px;">
                 Médiane: <strong style="color: var(--color-primary);">${SalaryUtils.formatCurrency(salary.median)}</strong>
+                <br><span style="color: var(--color-text-muted); font-size: 12px;">${SalaryUtils.formatConfidenceInterval(SalaryUtils.getMedianCI(salary))}</span>
               </p>
             </div>
           ` : `
             <div class="dossier-salary">
-              <p style="color: var(--color-text-muted); font-style: italic;">Données salariales insuffisantes</p>
+              <p style="color: var(--color-text-muted); font-style: italic;">Données salariales insuffisantes${salary ? ` (${salary.count} salaire${salary.count > 1 ? 's' : ''}, minimum ${SalaryUtils.MIN_SAMPLE})` : ''}</p>
             </div>
           `}
 
@@ -0,0 +1,95 @@
+/**
+ * Employment Status
+ * Infers the employment status of an offer (private non-cadre, private cadre, public titulaire or contractuel)
+ * from its qualification, sector, title and employer, so gross salaries convert to net with the right contributions
+ */
+
+const EmploymentStatus = {
+  STATUSES: {
+    privateNonCadre: 'Privé non-cadre',
+    privateCadre: 'Privé cadre',
+    publicTitulaire: 'Public titulaire',
+    publicContractuel: 'Public contractuel'
+  },
+
+  // Normalized keywords (see DataProcessor.normalizeText), matched at word starts in the title and employer
+  PUBLIC_KEYWORDS: [
+    'mairie', 'ville de', 'commune', 'communaute de communes', 'communaute d agglomeration', 'communaute urbaine',
+    'agglomeration', 'metropole', 'conseil departemental', 'departement de', 'conseil regional', 'region ',
+    'syndicat intercommunal', 'territorial', 'fonction publique', 'universite', 'rectorat', 'ministere',
+    'prefecture', 'centre hospitalier', 'chu ', 'archives departementales', 'archives municipales',
+    'archives nationales', 'bibliotheque nationale', 'cnrs', 'inserm', 'inrae'
+  ],
+  TITULAIRE_KEYWORDS: [
+    'titulaire', 'fonctionnaire', 'mutation', 'detachement', 'cadre d emplois', 'laureat', 'concours'
+  ],
+  CADRE_KEYWORDS: [
+    'cadre', 'directeur', 'directrice', 'manager', 'head of', 'chef de projet', 'ingenieur'
+  ],
+
+  // Offer -> { status, reason }, memoized
+  cache: new WeakMap(),
+
+  /**
+   * Infer the employment status of an offer
+   * Temporary work (Intérim) is always private: the agency is the employer
+   * @param {object} offer - Offer
+   * @returns {object} { status: key of STATUSES, reason: why it was chosen (French, for tooltips) }
+   */
+  infer(offer) {
+    if (this.cache.has(offer)) return this.cache.get(offer);
+
+    const result = this.runInference(offer);
+    this.cache.set(offer, result);
+    return result;
+  },
+
+  /**
+   * Inference rules, in order: public employer (sector or keyword), then cadre, then the non-cadre default
+   */
+  runInference(offer) {
+    const text = ` ${DataProcessor.normalizeText([offer.title, offer.company].join(' '))} `;
+    const findKeyword = keywords => keywords.find(keyword => text.includes(` ${keyword}`));
+    const temporary = /^int[ée]rim/i.test(offer.contractType || '');
+
+    if (!temporary) {
+      const publicSector = /administration publique/i.test(offer.sector || '') ? offer.sector : null;
+      const publicKeyword = publicSector ? null : findKeyword(this.PUBLIC_KEYWORDS);
+
+      if (publicSector || publicKeyword) {
+        const employer = publicSector ? `secteur « ${publicSector} »` : `mot-clé « ${publicKeyword.trim()} »`;
+        const titulaireKeyword = findKeyword(this.TITULAIRE_KEYWORDS);
+        if (titulaireKeyword) {
+          return { status: 'publicTitulaire', reason: `${employer}, mot-clé « ${titulaireKeyword} »` };
+        }
+        // Permanent public posts go to titulaires; fixed-term ones to contractuels
+        if (offer.contractType === 'CDI') {
+          return { status: 'publicTitulaire', reason: `${employer}, poste permanent` };
+        }
+        return { status: 'publicContractuel', reason: `${employer}, contrat ${offer.contractType || 'non précisé'}` };
+      }
+    }
+
+    if (offer.qualification === 'Cadre') {
+      return { status: 'privateCadre', reason: 'qualification « Cadre »' };
+    }
+    const cadreKeyword = findKeyword(this.CADRE_KEYWORDS);
+    if (cadreKeyword) {
+      return { status: 'privateCadre', reason: `mot-clé « ${cadreKeyword} »` };
+    }
+
+    return { status: 'privateNonCadre', reason: 'par défaut (aucun indice de secteur public ni de statut cadre)' };
+  },
+
+  /**
+   * Get the label of a status
+   * @param {string} status - Key of STATUSES
+   * @returns {string} French label
+   */
+  getLabel(status) {
+    return this.STATUSES[status] || status;
+  }
+};
+
+// Export
+window.EmploymentStatus = EmploymentStatus;
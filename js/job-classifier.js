@@ -1,85 +1,230 @@
 /**
  * Job Family Classifier
- * Categorizes job offers into families based on title/description
+ * Categorizes job offers into families based on their title, and explains the match
+ * The published jobFamily is computed upstream; classify() gives the rule-based family alongside it
  */
 
 const JobClassifier = {
   // Job families with their classification patterns
+  // rules run on normalized titles (see DataProcessor.normalizeText); a family scores the weights of its matching
+  // rules (3 or 4: defining term, 2: strong hint, 1: weak hint) and priority breaks ties, highest first
   families: [
     {
       name: 'Professeur Documentaliste',
       icon: '🎓',
       color: '#8b5cf6',
-      description: 'Enseignement et formation en documentation'
+      description: 'Enseignement et formation en documentation',
+      priority: 10,
+      rules: [
+        { pattern: /\b(professeur|enseignant)e?( (e|professeure|enseignante))? documentaliste\b/, weight: 4 },
+        { pattern: /\bcapes (de )?documentation\b/, weight: 3 }
+      ]
     },
     {
       name: 'Archiviste',
       icon: '📚',
       color: '#06b6d4',
-      description: 'Gestion et conservation des archives'
+      description: 'Gestion et conservation des archives',
+      priority: 7,
+      rules: [
+        { pattern: /\barchiv[a-z]*/, weight: 3 }
+      ]
     },
     {
       name: 'Record Manager',
       icon: '🗃️',
       color: '#84cc16',
-      description: 'Gestion des documents d\'activité'
+      description: 'Gestion des documents d\'activité',
+      priority: 9,
+      rules: [
+        { pattern: /\brecords? manag[a-z]*/, weight: 4 },
+        { pattern: /\bdocuments d activite\b/, weight: 3 }
+      ]
     },
     {
       name: 'Knowledge Manager',
       icon: '💡',
       color: '#f59e0b',
-      description: 'Gestion des connaissances en entreprise'
+      description: 'Gestion des connaissances en entreprise',
+      priority: 9,
+      rules: [
+        { pattern: /\bknowledge manag[a-z]*/, weight: 4 },
+        { pattern: /\bgestion(naire)? des connaissances?\b/, weight: 3 }
+      ]
     },
     {
       name: 'Document Controller',
       icon: '✅',
       color: '#10b981',
-      description: 'Contrôle et suivi documentaire projet'
+      description: 'Contrôle et suivi documentaire projet',
+      priority: 9,
+      rules: [
+        { pattern: /\bdoc(ument)? control[a-z]*/, weight: 4 },
+        { pattern: /\bcontrole documentaire\b/, weight: 4 },
+        { pattern: /\bgestion de documents\b/, weight: 2 }
+      ]
     },
     {
       name: 'Veille',
       icon: '🔍',
       color: '#ec4899',
-      description: 'Veille stratégique et intelligence économique'
+      description: 'Veille stratégique et intelligence économique',
+      priority: 8,
+      rules: [
+        { pattern: /\bveille\b/, weight: 3 },
+        { pattern: /\bintelligence economique\b/, weight: 3 }
+      ]
     },
     {
       name: 'Médiathécaire/Bibliothécaire',
       icon: '📖',
       color: '#6366f1',
-      description: 'Animation de médiathèques et bibliothèques'
+      description: 'Animation de médiathèques et bibliothèques',
+      priority: 7,
+      rules: [
+        { pattern: /\b(mediathecaire|bibliothecaire)s?\b/, weight: 3 },
+        { pattern: /\b(mediatheque|bibliotheque|ludotheque)s?\b/, weight: 2 },
+        { pattern: /\blecture publique\b/, weight: 2 },
+        { pattern: /\badjoint(e)? (territorial(e)? )?du patrimoine\b/, weight: 2 },
+        { pattern: /\bassistant(e)? (territorial(e)? )?de conservation\b/, weight: 2 },
+        { pattern: /\b(magasinier|catalogueur)[a-z]*/, weight: 2 }
+      ]
     },
     {
       name: 'Directeur/Directrice',
       icon: '👔',
       color: '#1e40af',
-      description: 'Direction de services documentaires'
+      description: 'Direction de services documentaires',
+      priority: 5,
+      rules: [
+        { pattern: /\b(directeur|directrice|direction)\b/, weight: 2 },
+        { pattern: /\bdrh\b/, weight: 2 }
+      ]
     },
     {
       name: 'Responsable',
       icon: '📋',
       color: '#0891b2',
-      description: 'Responsabilité d\'équipe ou de projet'
+      description: 'Responsabilité d\'équipe ou de projet',
+      priority: 3,
+      rules: [
+        { pattern: /\bresponsable\b/, weight: 1 },
+        { pattern: /\bchef de (service|projet|mission)\b/, weight: 1 },
+        { pattern: /\b(manager|coordinat(eur|rice))\b/, weight: 1 }
+      ]
     },
     {
       name: 'Gestionnaire',
       icon: '🗄️',
       color: '#65a30d',
-      description: 'Gestion de bases de données et fonds documentaires'
+      description: 'Gestion de bases de données et fonds documentaires',
+      priority: 4,
+      rules: [
+        { pattern: /\bgestionnaire\b/, weight: 2 },
+        { pattern: /\bbases? de donnees\b/, weight: 2 }
+      ]
     },
     {
       name: 'Assistant(e)',
       icon: '🤝',
       color: '#f97316',
-      description: 'Assistance documentaire et administrative'
+      description: 'Assistance documentaire et administrative',
+      priority: 4,
+      rules: [
+        { pattern: /\bassistant(e)?\b/, weight: 2 },
+        // An assistant documentaliste is an assistant first
+        { pattern: /\bassistant(e)?( assistante)? (documentaliste|documentaire|archiviste|de documentation)\b/, weight: 3 }
+      ]
     },
     {
       name: 'Documentaliste',
       icon: '📄',
       color: '#2563eb',
-      description: 'Documentation généraliste'
+      description: 'Documentation généraliste',
+      priority: 2,
+      rules: [
+        { pattern: /\bdocumentalistes?\b/, weight: 3 },
+        { pattern: /\b(documentation|documentaires?)\b/, weight: 2 },
+        { pattern: /\bged\b/, weight: 2 }
+      ]
     }
   ],
 
+  STRONG_SCORE: 3, // Score of one defining term: lower scores lower the confidence
+
+  // Offer -> classification, memoized
+  cache: new WeakMap(),
+
+  /**
+   * Classify an offer by the rules of each family
+   * Confidence is the winner's share of all competing matched weight, scaled down when its score stays under STRONG_SCORE:
+   * "Archiviste" scores 100 %, "Responsable des archives" 75 %, "Responsable de dossiers" 33 %
+   * @param {object} offer - Offer
+   * @returns {object} { family, confidence (0 to 1), terms: matched terms of the family,
+   *   candidates: [{ family, score, terms }] best first } — family is null with confidence 0 when no rule matches
+   */
+  classify(offer) {
+    if (this.cache.has(offer)) return this.cache.get(offer);
+
+    const result = this.runClassification(offer);
+    this.cache.set(offer, result);
+    return result;
+  },
+
+  /**
+   * Score every family against the offer's title
+   */
+  runClassification(offer) {
+    const title = DataProcessor.normalizeText(offer.title);
+
+    const scored = this.families
+      .map(family => {
+        const terms = [];
+        let score = 0;
+        family.rules.forEach(rule => {
+          const match = rule.pattern.exec(title);
+          if (!match) return;
+          score += rule.weight;
+          terms.push(match[0]);
+        });
+        return { family: family.name, priority: family.priority, score, terms };
+      })
+      .filter(c => c.score > 0)
+      .sort((a, b) => b.score - a.score || b.priority - a.priority)
+      .map(({ family, score, terms }) => ({ family, score, terms }));
+
+    // Families matched only by words of the winner's terms don't compete with it,
+    // e.g. "documentaliste" within "professeur documentaliste"
+    const winnerTerms = scored.length ? scored[0].terms : [];
+    const candidates = scored.filter((c, i) =>
+      i === 0 || !c.terms.every(term => winnerTerms.some(w => w !== term && w.includes(term))));
+
+    if (candidates.length === 0) {
+      return { family: null, confidence: 0, terms: [], candidates };
+    }
+
+    const best = candidates[0];
+    const total = candidates.reduce((sum, c) => sum + c.score, 0);
+    const confidence = (best.score / total) * Math.min(1, best.score / this.STRONG_SCORE);
+    return { family: best.family, confidence, terms: best.terms, candidates };
+  },
+
+  /**
+   * Explain a classification, for tooltips and the offers list
+   * @param {object} classification - Result of classify()
+   * @returns {string} French description
+   */
+  describe(classification) {
+    const { family, confidence, terms, candidates } = classification;
+    if (!family) return 'Aucune règle reconnue dans l\'intitulé';
+
+    const quote = list => list.map(t => `« ${t} »`).join(', ');
+    const others = candidates.slice(1)
+      .map(c => `${c.family} (${c.score} pt${c.score > 1 ? 's' : ''} : ${quote(c.terms)})`);
+    return `${family} (confiance ${Math.round(confidence * 100)} %) : ${quote(terms)}` +
+      (others.length ? ` ; autres familles possibles : ${others.join(', ')}` : '');
+  },
+
   /**
    * Get family info by name
    * @param {string} name - Family name
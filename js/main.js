@@ -6,6 +6,7 @@
 
 const App = {
   currentTab: 'overview',
+  compareTarget: 'A', // Selection the filters edit in compare mode ('A' or 'B')
 
   /**
    * Initialize the application
@@ -27,20 +28,26 @@ const App = {
 
       // Show data source indicator
       this.showDataSourceIndicator();
+      this.initCompareSelections();
       this.initTabs();
       this.initRouter();
       this.initSalaryToggles();
+      this.initSalaryQuality();
       this.initMapControls();
       this.initOffersCTA();
 
       // Initialize visualizations
       Charts.init();
+      SalaryDistribution.init();
       Timeline.init();
       DossierMetiers.init();
+      DepartmentComparison.init();
+      SalaryEstimator.init();
 
       // Update stats display
       this.updateStats();
       this.updateMetrics();
+      this.renderSalaryQuality();
 
       // Update all charts
       Charts.update();
@@ -49,12 +56,22 @@ const App = {
       window.addEventListener('dataFiltered', () => {
         this.updateStats();
         this.updateMetrics();
+        this.renderSalaryQuality();
+        SalaryFilter.update();
         Charts.update();
         Timeline.update();
         DossierMetiers.update();
+        MapPlayback.update();
         if (this.currentTab === 'map') {
           FranceMap.update();
         }
+        if (this.currentTab === 'compare') {
+          DepartmentComparison.update();
+        }
+        if (this.currentTab === 'sectors') {
+          this.renderSectorTreemap();
+          this.renderSectorTable();
+        }
       });
 
       // Listen for data refresh (when coming back online)
@@ -62,12 +79,22 @@ const App = {
         console.log('[App] Data refreshed, updating UI...');
         this.updateStats();
         this.updateMetrics();
+        this.renderSalaryQuality();
+        SalaryFilter.update();
         Charts.update();
         Timeline.update();
         DossierMetiers.update();
+        MapPlayback.update();
         if (this.currentTab === 'map') {
           FranceMap.update();
         }
+        if (this.currentTab === 'compare') {
+          DepartmentComparison.update();
+        }
+        if (this.currentTab === 'sectors') {
+          this.renderSectorTreemap();
+          this.renderSectorTable();
+        }
         this.showDataSourceIndicator();
       });
 
@@ -251,6 +278,9 @@ const App = {
         });
       };
 
+      // Keep a handle so external syncs (router, bottom sheet) can refresh chips
+      this.multiSelectUpdaters[type] = updateChips;
+
       const toggleDropdown = (forceClose = false) => {
         if (forceClose) {
           dropdown.classList.remove('active');
@@ -361,6 +391,29 @@ const App = {
 
     initMultiSelect('contract', contractItems);
 
+    // 3. Experience levels & qualifications (fixed display order)
+    initMultiSelect('experience', DataProcessor.EXPERIENCE_LEVELS);
+    const qualifications = DataProcessor.getUniqueValues('qualification');
+    initMultiSelect('qualification', DataProcessor.QUALIFICATION_LEVELS
+      .filter(q => q === 'Non précisé' || qualifications.includes(q)));
+
+    // 4. Regions (metropolitan first, then overseas, as listed)
+    initMultiSelect('region', Regions.list.map(r => ({ label: r.name, value: r.code })));
+
+    // 5. Sectors (NAF divisions grouped by section)
+    const sectorGroups = {};
+    DataProcessor.getUniqueValues('sectorCode').forEach(code => {
+      const section = NafSectors.getSection(code);
+      if (!section) return;
+      const groupLabel = `${section.code} – ${section.label}`;
+      if (!sectorGroups[groupLabel]) sectorGroups[groupLabel] = [];
+      sectorGroups[groupLabel].push({ label: `${code} – ${NafSectors.getDivisionLabel(code)}`, value: code });
+    });
+    const sectorItems = Object.keys(sectorGroups).sort()
+      .map(label => ({ label, items: sectorGroups[label] }));
+    sectorItems.push('Non précisé');
+    initMultiSelect('sector', sectorItems);
+
     // Global Click Listener to close dropdowns
     document.addEventListener('click', (e) => {
       if (!e.target.closest('.filter-dropdown-wrapper')) {
@@ -371,11 +424,23 @@ const App = {
     // Department autocomplete + chips
     this.initDepartmentAutocomplete(data);
 
+    // Date range inputs + quarter presets
+    this.initDateRangeFilter(data);
+
+    // Full-text search box
+    this.initSearchFilter();
+
+    // Salary range slider + histogram
+    SalaryFilter.init(document.getElementById('filter-salary'), () => this.applyFilters());
+
+    // Radius search around a prefecture or a map point
+    RadiusFilter.init(document.getElementById('filter-radius'), () => this.applyFilters());
+
     // Reset button logic update
     const resetBtn = document.getElementById('reset-filters');
     if (resetBtn) {
       resetBtn.addEventListener('click', () => {
-        document.querySelectorAll('.filter-job-family-cb, .filter-contract-cb, .filter-group-cb')
+        document.querySelectorAll('.filter-job-family-cb, .filter-contract-cb, .filter-experience-cb, .filter-qualification-cb, .filter-sector-cb, .filter-region-cb, .filter-group-cb')
           .forEach(cb => {
             cb.checked = false;
             // Trigger change manually or call updateChips logic if exposed?
@@ -384,7 +449,7 @@ const App = {
           });
 
         // Reset UI text/chips manually since the closure reference is lost
-        ['job-family', 'contract'].forEach(type => {
+        ['job-family', 'contract', 'experience', 'qualification', 'sector', 'region'].forEach(type => {
           document.getElementById(`filter-${type}-trigger`).textContent = 'Sélectionner...';
           document.getElementById(`filter-${type}-chips`).innerHTML = '';
           document.getElementById(`filter-${type}-trigger`).style.borderColor = '';
@@ -395,7 +460,24 @@ const App = {
         if (deptInput) deptInput.value = '';
         this.clearSelectedDepartments();
 
-        DataProcessor.resetFilters();
+        // Clear date range
+        this.clearDateRange();
+
+        // Clear search
+        const searchInput = document.getElementById('filter-search');
+        if (searchInput) searchInput.value = '';
+
+        // Clear salary range
+        SalaryFilter.setRange(document.getElementById('filter-salary'), null);
+
+        // Clear radius search
+        RadiusFilter.setValue(document.getElementById('filter-radius'), null);
+
+        if (this.isEditingCompare()) {
+          DataProcessor.resetCompareFilters();
+        } else {
+          DataProcessor.resetFilters();
+        }
       });
     }
 
@@ -432,6 +514,16 @@ const App = {
   // Selected departments state for autocomplete
   selectedDepts: new Set(),
 
+  // Chip/trigger refreshers for each multi-select, keyed by filter type
+  multiSelectUpdaters: {},
+
+  /**
+   * Re-render chips and trigger text of all multi-selects from their checkboxes
+   */
+  refreshMultiSelects() {
+    Object.values(this.multiSelectUpdaters).forEach(update => update());
+  },
+
   /**
    * Initialize department autocomplete + chips
    */
@@ -468,6 +560,7 @@ const App = {
         });
       });
     };
+    this.multiSelectUpdaters.dept = renderChips;
 
     // Render dropdown
     const renderDropdown = (query) => {
@@ -588,6 +681,84 @@ const App = {
     }
   },
 
+  /**
+   * Initialize date range inputs and quarter presets
+   */
+  initDateRangeFilter(data) {
+    const fromInput = document.getElementById('filter-date-from');
+    const toInput = document.getElementById('filter-date-to');
+    const presets = document.getElementById('filter-date-presets');
+
+    if (!fromInput || !toInput) return;
+
+    // Bound the pickers to the collection period
+    const { first, last } = data.meta.dateRange;
+    [fromInput, toInput].forEach(input => {
+      input.min = first;
+      input.max = last;
+      input.addEventListener('change', () => {
+        presets?.querySelectorAll('[data-quarter]').forEach(b => b.classList.remove('active'));
+        this.applyFilters();
+      });
+    });
+
+    // Quarter presets fill both inputs; clicking the active one clears them
+    presets?.querySelectorAll('[data-quarter]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const wasActive = btn.classList.contains('active');
+        presets.querySelectorAll('[data-quarter]').forEach(b => b.classList.remove('active'));
+
+        if (wasActive) {
+          fromInput.value = '';
+          toInput.value = '';
+        } else {
+          const range = DataProcessor.getQuarterRange(Number(btn.dataset.quarter));
+          fromInput.value = range.from;
+          toInput.value = range.to;
+          btn.classList.add('active');
+        }
+
+        this.applyFilters();
+      });
+    });
+  },
+
+  /**
+   * Initialize full-text search box (debounced)
+   */
+  initSearchFilter() {
+    const input = document.getElementById('filter-search');
+    if (!input) return;
+
+    let debounceTimer;
+    input.addEventListener('input', () => {
+      clearTimeout(debounceTimer);
+      debounceTimer = setTimeout(() => this.applyFilters(), 250);
+    });
+  },
+
+  /**
+   * Read the date range from the sidebar inputs
+   * @returns {object|null} Date range { from, to } or null if empty
+   */
+  getDateRange() {
+    const from = document.getElementById('filter-date-from')?.value || null;
+    const to = document.getElementById('filter-date-to')?.value || null;
+    return from || to ? { from, to } : null;
+  },
+
+  /**
+   * Clear date range inputs (for reset)
+   */
+  clearDateRange() {
+    ['filter-date-from', 'filter-date-to'].forEach(id => {
+      const input = document.getElementById(id);
+      if (input) input.value = '';
+    });
+    document.querySelectorAll('#filter-date-presets [data-quarter]')
+      .forEach(b => b.classList.remove('active'));
+  },
+
   /**
    * Apply current filter selections
    */
@@ -598,10 +769,113 @@ const App = {
     const contractTypes = Array.from(document.querySelectorAll('.filter-contract-cb:checked'))
       .map(cb => cb.value);
 
+    const experienceLevels = Array.from(document.querySelectorAll('#filter-experience-dropdown .filter-experience-cb:checked'))
+      .map(cb => cb.value);
+
+    const qualifications = Array.from(document.querySelectorAll('#filter-qualification-dropdown .filter-qualification-cb:checked'))
+      .map(cb => cb.value);
+
+    const sectors = Array.from(document.querySelectorAll('#filter-sector-dropdown .filter-sector-cb:checked'))
+      .map(cb => cb.value);
+
+    const regions = Array.from(document.querySelectorAll('#filter-region-dropdown .filter-region-cb:checked'))
+      .map(cb => cb.value);
+
     // Get from chips instead of checkboxes
     const departments = Array.from(this.selectedDepts);
 
-    DataProcessor.applyFilters({ jobFamilies, contractTypes, departments });
+    const dateRange = this.getDateRange();
+    const search = (document.getElementById('filter-search')?.value || '').trim();
+    const salaryRange = SalaryFilter.readRange(document.getElementById('filter-salary'));
+    const radius = RadiusFilter.read(document.getElementById('filter-radius'));
+
+    this.applyEditedFilters({
+      jobFamilies, contractTypes, departments, regions, dateRange, search, salaryRange, experienceLevels, qualifications, sectors, radius
+    });
+  },
+
+  /**
+   * Initialize the compare mode controls (two filter sets side by side)
+   */
+  initCompareSelections() {
+    document.getElementById('compare-toggle')?.addEventListener('click', () => {
+      if (DataProcessor.isComparing()) {
+        DataProcessor.disableCompare();
+        this.setCompareTarget('A');
+      } else {
+        // Selection B starts as a copy of A, ready to be edited
+        DataProcessor.enableCompare();
+        this.setCompareTarget('B');
+      }
+    });
+
+    document.querySelectorAll('[data-compare-target]').forEach(btn => {
+      btn.addEventListener('click', () => this.setCompareTarget(btn.dataset.compareTarget));
+    });
+  },
+
+  /**
+   * Whether the filters currently edit selection B
+   * @returns {boolean}
+   */
+  isEditingCompare() {
+    return this.compareTarget === 'B' && DataProcessor.isComparing();
+  },
+
+  /**
+   * Choose the selection the filters edit and show its filters
+   * @param {string} target - 'A' or 'B' (B only in compare mode)
+   */
+  setCompareTarget(target) {
+    this.compareTarget = target === 'B' && DataProcessor.isComparing() ? 'B' : 'A';
+
+    if (window.Router) {
+      Router.syncFiltersToUI(this.getEditedFilters());
+    }
+    this.renderCompareSelections();
+  },
+
+  /**
+   * Get the filter state being edited
+   * @returns {object} Selection B's filters when editing it, selection A's otherwise
+   */
+  getEditedFilters() {
+    return this.isEditingCompare() ? DataProcessor.compareFilters : DataProcessor.filters;
+  },
+
+  /**
+   * Apply filters to the selection being edited
+   * @param {object} filters - Filters to apply
+   * @returns {Promise<void>} Resolves once dataFiltered has been dispatched
+   */
+  applyEditedFilters(filters) {
+    return this.isEditingCompare()
+      ? DataProcessor.applyCompareFilters(filters)
+      : DataProcessor.applyFilters(filters);
+  },
+
+  /**
+   * Update the compare mode controls
+   */
+  renderCompareSelections() {
+    const comparing = DataProcessor.isComparing();
+
+    const toggle = document.getElementById('compare-toggle');
+    if (toggle) {
+      toggle.textContent = comparing ? 'Quitter la comparaison' : 'Comparer deux sélections';
+      toggle.setAttribute('aria-pressed', comparing);
+    }
+
+    const targets = document.getElementById('compare-targets');
+    if (targets) targets.hidden = !comparing;
+
+    document.querySelectorAll('[data-compare-target]').forEach(btn => {
+      const active = btn.dataset.compareTarget === this.compareTarget;
+      btn.classList.toggle('active', active);
+      btn.setAttribute('aria-pressed', active);
+    });
+
+    document.querySelector('.filters-container')?.classList.toggle('editing-compare', this.isEditingCompare());
   },
 
   /**
@@ -641,6 +915,14 @@ const App = {
         // Initialize map when tab is shown (lazy loading)
         if (target === 'map' && !FranceMap.svg) {
           FranceMap.init();
+        } else if (target === 'map') {
+          // Salary display settings may have changed on the salaries tab
+          FranceMap.update();
+        }
+
+        // Department comparison is only rendered while visible (charts need a sized canvas)
+        if (target === 'compare') {
+          DepartmentComparison.update();
         }
 
         // Update sector treemap
@@ -679,6 +961,7 @@ const App = {
 
     if (route === 'map' || route === 'carte') targetTab = 'map';
     else if (route === 'salaries' || route === 'salaires') targetTab = 'salaries';
+    else if (route === 'compare' || route === 'comparer') targetTab = 'compare';
     else if (route === 'sectors' || route === 'secteurs') targetTab = 'sectors';
     else if (route === 'dossier') targetTab = 'dossier';
 
@@ -701,6 +984,7 @@ const App = {
         document.querySelectorAll('[data-salary-type]').forEach(b => b.classList.remove('active'));
         btn.classList.add('active');
         Charts.setSalaryType(btn.dataset.salaryType);
+        SalaryFilter.update();
       });
     });
 
@@ -710,10 +994,95 @@ const App = {
         document.querySelectorAll('[data-salary-period]').forEach(b => b.classList.remove('active'));
         btn.classList.add('active');
         Charts.setSalaryPeriod(btn.dataset.salaryPeriod);
+        SalaryFilter.update();
+      });
+    });
+
+    // Salary units: current euros, constant euros or multiples of the SMIC
+    document.querySelectorAll('[data-salary-unit]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        document.querySelectorAll('[data-salary-unit]').forEach(b => b.classList.remove('active'));
+        btn.classList.add('active');
+        Charts.setSalaryUnit(btn.dataset.salaryUnit);
+        SalaryFilter.update();
+      });
+    });
+
+    // Geographic level of the salary chart
+    document.querySelectorAll('[data-salary-geo]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        document.querySelectorAll('[data-salary-geo]').forEach(b => b.classList.remove('active'));
+        btn.classList.add('active');
+        const title = document.getElementById('salary-geo-title');
+        if (title) title.textContent = btn.dataset.salaryGeo === 'region' ? 'région' : 'département';
+        Charts.setSalaryGeoLevel(btn.dataset.salaryGeo);
       });
     });
   },
 
+  /**
+   * Initialize the flagged salaries toggle of the data-quality panel
+   */
+  initSalaryQuality() {
+    document.getElementById('filter-show-flagged')?.addEventListener('change', (e) => {
+      // Both selections treat flagged salaries the same way, so A and B stay comparable
+      const showFlaggedSalaries = e.target.checked;
+      if (DataProcessor.isComparing()) {
+        DataProcessor.applyCompareFilters({ showFlaggedSalaries });
+      }
+      DataProcessor.applyFilters({ showFlaggedSalaries });
+    });
+  },
+
+  /**
+   * Render the data-quality panel: flagged salaries of the current selection by issue
+   */
+  renderSalaryQuality() {
+    const tbody = document.querySelector('#salary-quality-table tbody');
+    if (!tbody) return;
+
+    const { checked, flagged, byIssue } = SalaryQuality.summarize(DataProcessor.getOffers(true));
+    const showFlagged = DataProcessor.filters.showFlaggedSalaries;
+
+    const toggle = document.getElementById('filter-show-flagged');
+    if (toggle) toggle.checked = showFlagged;
+
+    const summary = document.getElementById('salary-quality-summary');
+    if (summary) {
+      const treatment = showFlagged
+        ? 'Ils sont inclus tels que publiés dans les statistiques.'
+        : 'Les montants saisis avec la mauvaise période sont corrigés, les autres sont exclus des statistiques.';
+      summary.textContent = flagged.length === 0
+        ? `Aucun salaire signalé sur ${checked} salaire${checked > 1 ? 's' : ''} vérifié${checked > 1 ? 's' : ''}.`
+        : `${flagged.length} salaire${flagged.length > 1 ? 's' : ''} signalé${flagged.length > 1 ? 's' : ''} sur ${checked} vérifiés ` +
+          `(plancher : SMIC annuel en vigueur à la date de l'offre, plafond : ${SalaryUtils.formatCurrency(SalaryQuality.CEILING)}). ${treatment}`;
+    }
+
+    tbody.innerHTML = Object.values(byIssue).map(issue => `
+      <tr>
+        <td>${issue.label}</td>
+        <td>${issue.corrected}</td>
+        <td>${issue.excluded}</td>
+      </tr>
+    `).join('');
+
+    const list = document.getElementById('salary-quality-list');
+    if (list) {
+      list.innerHTML = flagged.map(f => `
+        <li>
+          <strong>${OffersModal.escapeHtml(f.offer.title)}</strong>
+          <span class="salary-quality-issue">${f.label}</span>
+          <span class="salary-quality-values">
+            ${SalaryUtils.formatCurrency(f.original)}
+            ${f.action === 'corrected' ? `→ ${SalaryUtils.formatCurrency(f.corrected)}` : '(exclu)'}
+          </span>
+          ${f.offer.salaryRaw ? `<span class="salary-quality-raw">${OffersModal.escapeHtml(f.offer.salaryRaw)}</span>` : ''}
+        </li>
+      `).join('');
+      list.closest('details').hidden = flagged.length === 0;
+    }
+  },
+
   /**
    * Initialize map controls
    */
@@ -725,6 +1094,36 @@ const App = {
         FranceMap.setColorMode(btn.dataset.mapColor);
       });
     });
+
+    // Offer points layer toggle
+    document.querySelectorAll('[data-map-points]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const show = !btn.classList.contains('active');
+        btn.classList.toggle('active', show);
+        btn.setAttribute('aria-pressed', show);
+        FranceMap.setShowPoints(show);
+      });
+    });
+
+    // Department / region aggregation
+    document.querySelectorAll('[data-map-level]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        document.querySelectorAll('[data-map-level]').forEach(b => b.classList.remove('active'));
+        btn.classList.add('active');
+        FranceMap.setLevel(btn.dataset.mapLevel);
+      });
+    });
+
+    MapPlayback.init();
+
+    // Zoom buttons (pinch and scroll zoom are handled by the map itself)
+    document.querySelectorAll('[data-map-zoom]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const action = btn.dataset.mapZoom;
+        if (action === 'reset') FranceMap.resetZoom();
+        else FranceMap.zoomBy(action === 'in' ? 1.5 : 1 / 1.5);
+      });
+    });
   },
 
   /**
@@ -757,7 +1156,11 @@ const App = {
     document.getElementById('total-offers').textContent = SalaryUtils.formatNumber(stats.total);
     document.getElementById('offers-with-salary').textContent = SalaryUtils.formatNumber(stats.withSalary);
 
-    const dateRange = `${data.meta.dateRange.first.slice(5)} - ${data.meta.dateRange.last.slice(5)}`;
+    // Show the filtered window when a date range is active
+    const range = DataProcessor.filters.dateRange;
+    const first = range?.from || data.meta.dateRange.first;
+    const last = range?.to || data.meta.dateRange.last;
+    const dateRange = `${first.slice(5)} - ${last.slice(5)}`;
     document.getElementById('date-range').textContent = dateRange;
   },
 
@@ -765,11 +1168,45 @@ const App = {
    * Update metrics cards
    */
   updateMetrics() {
-    const stats = DataProcessor.getStats();
+    const metrics = stats => ({
+      total: stats.total,
+      sectors: Object.keys(stats.bySector).length,
+      depts: Object.keys(stats.byDepartment).length
+    });
+    const values = metrics(DataProcessor.getStats());
+    const compareStats = DataProcessor.getCompareStats();
+    const compareValues = compareStats ? metrics(compareStats) : null;
+
+    Object.entries(values).forEach(([key, value]) => {
+      document.getElementById(`metric-${key}`).textContent = SalaryUtils.formatNumber(value);
+      this.renderMetricDelta(key, value, compareValues?.[key]);
+    });
+  },
+
+  /**
+   * Show selection B's value and its difference to selection A under a metric card
+   * @param {string} key - Metric key (data-metric of the .metric-compare element)
+   * @param {number} value - Selection A's value
+   * @param {number|undefined} compareValue - Selection B's value, undefined when not comparing
+   */
+  renderMetricDelta(key, value, compareValue) {
+    const el = document.querySelector(`.metric-compare[data-metric="${key}"]`);
+    if (!el) return;
+
+    el.hidden = compareValue === undefined;
+    if (el.hidden) return;
+
+    let delta = '';
+    let trend = 'same';
+    if (compareValue !== value) {
+      trend = compareValue > value ? 'up' : 'down';
+      delta = value
+        ? `${compareValue > value ? '+' : '−'}${Math.abs((compareValue - value) / value * 100).toLocaleString('fr-FR', { maximumFractionDigits: 1 })} %`
+        : '—';
+    }
 
-    document.getElementById('metric-total').textContent = SalaryUtils.formatNumber(stats.total);
-    document.getElementById('metric-sectors').textContent = Object.keys(stats.bySector).length;
-    document.getElementById('metric-depts').textContent = Object.keys(stats.byDepartment).length;
+    el.innerHTML = `B : <strong>${SalaryUtils.formatNumber(compareValue)}</strong>` +
+      `<span class="metric-delta metric-delta-${trend}">${delta || '='}</span>`;
   },
 
   /**
@@ -797,59 +1234,104 @@ const App = {
   // Store sector colors for reuse in table
   sectorColors: {},
 
+  // Treemap drill-down path: [] (sections), [section] (divisions), [section, division] (sectors)
+  sectorFocus: [],
+
   renderSectorTreemap() {
     const container = document.getElementById('sector-treemap');
     if (!container) return;
 
-    const stats = DataProcessor.getStats();
-    const data = Object.entries(stats.bySector)
-      .filter(([name]) => name.toLowerCase() !== 'non précisé')
-      .map(([name, d]) => ({ name, value: d.count }))
-      .sort((a, b) => b.value - a.value)
-      .slice(0, 20);
+    const hierarchy = DataProcessor.getSectorHierarchy();
+
+    // Colors follow the NAF section so drill-down keeps the same hue
+    const color = d3.scaleOrdinal(this.colorblindPalette)
+      .domain(NafSectors.sections.map(s => s.code));
+    this.sectorColors = {};
+    hierarchy.children.forEach(section => {
+      section.children.forEach(division => {
+        division.children.forEach(leaf => {
+          this.sectorColors[leaf.name] = color(section.code);
+        });
+      });
+    });
+
+    // Walk down the focus path, stopping where filters emptied a level
+    const path = [hierarchy];
+    for (const code of this.sectorFocus) {
+      const child = path[path.length - 1].children.find(c => c.code === code);
+      if (!child) break;
+      path.push(child);
+    }
+    this.sectorFocus = path.slice(1).map(n => n.code);
+    const focus = path[path.length - 1];
+    const sectionCode = path[1]?.code;
+
+    this.renderSectorBreadcrumb(path);
 
     // Clear existing
     container.innerHTML = '';
 
+    if (focus.children.length === 0) {
+      container.innerHTML = '<p class="sector-treemap-empty">Aucune offre avec secteur renseigné</p>';
+      return;
+    }
+
     const width = container.clientWidth;
     const height = 400;
+    const isLeafLevel = path.length === 3;
 
     const svg = d3.select(container)
       .append('svg')
       .attr('width', width)
       .attr('height', height);
 
-    const root = d3.hierarchy({ children: data })
-      .sum(d => d.value);
+    const root = d3.hierarchy(focus)
+      .sum(d => d.value || 0)
+      .sort((a, b) => b.value - a.value);
 
     d3.treemap()
       .size([width, height])
       .padding(2)(root);
 
-    // Use colorblind-safe palette
-    const color = d3.scaleOrdinal(this.colorblindPalette);
-
-    // Store colors for each sector (for table reuse)
-    this.sectorColors = {};
-    data.forEach((d, i) => {
-      this.sectorColors[d.name] = color(i);
-    });
+    // Inside a section, shade its divisions/sectors around the section hue
+    const fill = (d, i) => {
+      const base = d3.color(color(sectionCode || d.data.code));
+      if (!sectionCode) return base.formatHex();
+      return base.darker((i % 4) * 0.25).formatHex();
+    };
 
     const nodes = svg.selectAll('g')
-      .data(root.leaves())
+      .data(root.children)
       .enter()
       .append('g')
-      .attr('transform', d => `translate(${d.x0},${d.y0})`);
+      .attr('class', 'sector-treemap-node')
+      .attr('transform', d => `translate(${d.x0},${d.y0})`)
+      .attr('tabindex', 0)
+      .attr('role', 'button')
+      .attr('aria-label', d => `${d.data.name} : ${d.value} offres`)
+      .style('cursor', 'pointer')
+      .style('opacity', 0)
+      .on('click', (e, d) => this.handleSectorClick(d, isLeafLevel))
+      .on('keydown', (e, d) => {
+        if (e.key === 'Enter' || e.key === ' ') {
+          e.preventDefault();
+          this.handleSectorClick(d, isLeafLevel);
+        }
+      });
+
+    // Fade in so zooming reads as a transition
+    nodes.transition()
+      .duration(300)
+      .style('opacity', 1);
 
     nodes.append('rect')
       .attr('width', d => d.x1 - d.x0)
       .attr('height', d => d.y1 - d.y0)
-      .attr('fill', (d, i) => color(i))
-      .attr('rx', 4)
-      .style('cursor', 'pointer')
-      .on('click', (e, d) => {
-        console.log('Clicked sector:', d.data.name);
-      });
+      .attr('fill', fill)
+      .attr('rx', 4);
+
+    nodes.append('title')
+      .text(d => `${d.data.name}\n${d.value} offres${isLeafLevel ? '' : ' — cliquer pour détailler'}`);
 
     // Use foreignObject for text wrapping
     nodes.append('foreignObject')
@@ -874,13 +1356,79 @@ const App = {
         if (cellWidth < 50 || cellHeight < 30) return '';
 
         const showCount = cellHeight >= 45;
+        const code = isLeafLevel ? '' : `<strong>${d.data.code}</strong> – `;
         return `
-          <div style="font-weight: 500; word-wrap: break-word; overflow-wrap: break-word;">${d.data.name}</div>
-          ${showCount ? `<div style="opacity: 0.8; font-size: 10px; margin-top: 2px;">${d.data.value} offres</div>` : ''}
+          <div style="font-weight: 500; word-wrap: break-word; overflow-wrap: break-word;">${code}${d.data.name}</div>
+          ${showCount ? `<div style="opacity: 0.8; font-size: 10px; margin-top: 2px;">${d.value} offres</div>` : ''}
         `;
       });
   },
 
+  /**
+   * Render the treemap breadcrumb and the "filter on this level" action
+   * @param {array} path - Hierarchy nodes from the root to the current focus
+   */
+  renderSectorBreadcrumb(path) {
+    const breadcrumb = document.getElementById('sector-breadcrumb');
+    if (!breadcrumb) return;
+
+    breadcrumb.innerHTML = path.map((node, i) => {
+      const label = node.code ? `${node.code} – ${node.name}` : node.name;
+      if (i === path.length - 1) {
+        return `<span class="sector-breadcrumb-current" aria-current="location">${label}</span>`;
+      }
+      return `<button type="button" class="sector-breadcrumb-link" data-depth="${i}">${label}</button>`;
+    }).join('<span class="sector-breadcrumb-sep" aria-hidden="true">›</span>');
+
+    if (path.length > 1) {
+      breadcrumb.insertAdjacentHTML('beforeend',
+        '<button type="button" class="sector-breadcrumb-filter">Filtrer sur ce secteur</button>');
+    }
+
+    breadcrumb.querySelectorAll('.sector-breadcrumb-link').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.sectorFocus = this.sectorFocus.slice(0, Number(btn.dataset.depth));
+        this.renderSectorTreemap();
+      });
+    });
+
+    breadcrumb.querySelector('.sector-breadcrumb-filter')?.addEventListener('click', () => {
+      const focus = path[path.length - 1];
+      const divisions = path.length === 3 ? [focus.code] : focus.children.map(c => c.code);
+      this.filterBySectors(divisions);
+    });
+  },
+
+  /**
+   * Drill down into a section/division, or list the offers of a sector
+   * @param {object} node - d3 hierarchy node that was clicked
+   * @param {boolean} isLeafLevel - Whether the node is a sector label
+   */
+  handleSectorClick(node, isLeafLevel) {
+    if (isLeafLevel) {
+      const { code, name } = node.data;
+      const offers = DataProcessor.getOffers(true)
+        .filter(o => o.sectorCode === code && (o.sector || 'Non précisé') === name);
+      OffersModal.show(offers, `Secteur : ${name}`);
+      return;
+    }
+
+    this.sectorFocus = [...this.sectorFocus, node.data.code];
+    this.renderSectorTreemap();
+  },
+
+  /**
+   * Check the given NAF divisions in the sector filter and apply
+   * @param {string[]} divisions - Division codes to add to the filter
+   */
+  filterBySectors(divisions) {
+    document.querySelectorAll('#filter-sector-dropdown .filter-sector-cb').forEach(cb => {
+      if (divisions.includes(cb.value)) cb.checked = true;
+    });
+    this.refreshMultiSelects();
+    this.applyFilters();
+  },
+
   /**
    * Render sector table
    */
@@ -902,12 +1450,15 @@ const App = {
             ${name}
           </td>
           <td>${data.count}</td>
-          <td>${data.salaryStats ? `${SalaryUtils.formatCurrency(data.salaryStats.median)} <span class="count-badge">(n=${data.salaryStats.count})</span>` : '-'}</td>
+          <td>${data.salaryStats ? `${SalaryUtils.formatMedian(data.salaryStats)} <span class="count-badge">(n=${data.salaryStats.count})</span>` : '-'}</td>
         </tr>
       `;
     }).join('');
   }
 };
 
+// Export
+window.App = App;
+
 // Initialize when DOM is ready
 document.addEventListener('DOMContentLoaded', () => App.init());
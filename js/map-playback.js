@@ -0,0 +1,234 @@
+/**
+ * Map Playback Component
+ * Timeline scrubber under the map: steps through collection dates and recolours the map
+ * with the offers collected up to (cumulative) or at (snapshot) each date
+ */
+
+const MapPlayback = {
+  STEP_MS: 800,
+
+  root: null,
+  playBtn: null,
+  slider: null,
+  label: null,
+  stopBtn: null,
+  mode: 'cumulative', // 'cumulative' or 'snapshot'
+  index: null, // Date index shown, or null when the map shows the whole period
+  timer: null,
+
+  // Map dimensions of the frame stats: the map needs no other breakdown
+  DIMENSIONS: ['byDepartment', 'byRegion'],
+
+  // Per-filter cache: offers grouped by date index, their stats once shown, and the largest area count over all frames
+  frames: null,
+
+  /**
+   * Initialize the playback controls
+   */
+  init() {
+    this.root = document.getElementById('map-playback');
+    if (!this.root) return;
+
+    this.playBtn = this.root.querySelector('.map-playback-play');
+    this.slider = this.root.querySelector('.map-playback-slider');
+    this.label = this.root.querySelector('.map-playback-date');
+    this.stopBtn = this.root.querySelector('.map-playback-stop');
+
+    this.playBtn.addEventListener('click', () => {
+      if (this.timer) this.pause();
+      else this.play();
+    });
+
+    this.slider.addEventListener('input', () => {
+      this.pause();
+      this.show(Number(this.slider.value));
+    });
+
+    this.stopBtn.addEventListener('click', () => this.stop());
+
+    this.root.querySelectorAll('[data-playback-mode]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.root.querySelectorAll('[data-playback-mode]').forEach(b => b.classList.remove('active'));
+        btn.classList.add('active');
+        this.mode = btn.dataset.playbackMode;
+        this.frames = null;
+        if (this.index !== null) this.show(this.index);
+      });
+    });
+
+    // Leaving the map stops the animation
+    window.addEventListener('tabChanged', (e) => {
+      if (e.detail.tab !== 'map') this.pause();
+    });
+
+    this.update();
+    this.slider.value = this.slider.max;
+    this.renderLabel();
+  },
+
+  /**
+   * Get the collection dates
+   * @returns {Array<string>} ISO dates, oldest first
+   */
+  getDates() {
+    return DataProcessor.getData()?.dates || [];
+  },
+
+  /**
+   * Refresh after a filter change or data refresh
+   */
+  update() {
+    this.frames = null;
+    const dates = this.getDates();
+    if (this.slider) this.slider.max = Math.max(dates.length - 1, 0);
+
+    if (this.index !== null) {
+      this.show(Math.min(this.index, dates.length - 1));
+    }
+  },
+
+  /**
+   * Group the filtered offers by date once per filter change
+   * @returns {object} { byDate: offers per date index, stats: map stats per date index (filled by show),
+   *   maxCount: { department, region } }
+   */
+  getFrames() {
+    if (this.frames) return this.frames;
+
+    const dates = this.getDates();
+    const dateIndex = new Map(dates.map((date, i) => [date, i]));
+    const byDate = dates.map(() => []);
+    DataProcessor.getOffers(true).forEach(offer => {
+      const i = dateIndex.get(offer.date);
+      if (i !== undefined) byDate[i].push(offer);
+    });
+
+    // Largest count any area reaches in any frame, so every frame uses the same colour scale
+    const maxCount = { department: 0, region: 0 };
+    const areaKeys = {
+      department: offer => offer.department,
+      region: offer => Regions.getRegion(offer.department)?.code
+    };
+    Object.entries(areaKeys).forEach(([level, key]) => {
+      const running = new Map();
+      byDate.forEach(offers => {
+        const counts = this.mode === 'cumulative' ? running : new Map();
+        offers.forEach(offer => {
+          const area = key(offer);
+          counts.set(area, (counts.get(area) || 0) + 1);
+        });
+        maxCount[level] = Math.max(maxCount[level], ...counts.values());
+      });
+    });
+
+    this.frames = { byDate, stats: [], maxCount };
+    return this.frames;
+  },
+
+  /**
+   * Show the map for one date
+   * @param {number} index - Date index
+   */
+  show(index) {
+    const dates = this.getDates();
+    if (index < 0 || index >= dates.length) return;
+
+    this.index = index;
+    const { byDate, stats, maxCount } = this.getFrames();
+    const offers = this.mode === 'cumulative'
+      ? byDate.slice(0, index + 1).flat()
+      : byDate[index];
+
+    // Compute each frame once, and only the map's dimensions
+    if (!stats[index]) {
+      stats[index] = DataProcessor.computeStats(offers, undefined, this.DIMENSIONS);
+    }
+
+    FranceMap.setSnapshot({
+      stats: stats[index],
+      offers,
+      maxCount
+    });
+
+    this.slider.value = index;
+    this.stopBtn.hidden = false;
+    this.renderLabel();
+  },
+
+  /**
+   * Start stepping through dates (from the beginning when at the end or not started)
+   */
+  play() {
+    const dates = this.getDates();
+    if (dates.length === 0) return;
+
+    const start = this.index === null || this.index >= dates.length - 1 ? 0 : this.index + 1;
+    this.show(start);
+
+    this.timer = setInterval(() => {
+      if (this.index >= this.getDates().length - 1) {
+        this.pause();
+        return;
+      }
+      this.show(this.index + 1);
+    }, this.STEP_MS);
+
+    this.renderPlayButton();
+  },
+
+  /**
+   * Stop the animation, keeping the current date on the map
+   */
+  pause() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.renderPlayButton();
+  },
+
+  /**
+   * Stop and return the map to the whole period
+   */
+  stop() {
+    this.pause();
+    this.index = null;
+    FranceMap.setSnapshot(null);
+
+    if (this.slider) this.slider.value = this.slider.max;
+    if (this.stopBtn) this.stopBtn.hidden = true;
+    this.renderLabel();
+  },
+
+  /**
+   * Update the play/pause button
+   */
+  renderPlayButton() {
+    if (!this.playBtn) return;
+    const playing = Boolean(this.timer);
+    this.playBtn.textContent = playing ? '❚❚' : '▶';
+    this.playBtn.setAttribute('aria-label', playing ? 'Pause' : 'Lecture');
+    this.playBtn.setAttribute('aria-pressed', playing);
+  },
+
+  /**
+   * Update the date shown next to the slider
+   */
+  renderLabel() {
+    if (!this.label) return;
+
+    if (this.index === null) {
+      this.label.textContent = 'Toute la période';
+      return;
+    }
+
+    // ISO dates parse as UTC midnight: format them in UTC so they don't shift a day west of Greenwich
+    const date = new Date(this.getDates()[this.index]).toLocaleDateString('fr-FR', {
+      day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC'
+    });
+    this.label.textContent = this.mode === 'cumulative' ? `Jusqu'au ${date}` : `Le ${date}`;
+  }
+};
+
+// Export
+window.MapPlayback = MapPlayback;
@@ -1,6 +1,6 @@
 /**
  * France Map Visualization
- * D3.js choropleth map of France departments
+ * D3.js choropleth map of France departments (overseas departments in insets), with an optional clustered layer of offers
  */
 
 const FranceMap = {
@@ -8,10 +8,57 @@ const FranceMap = {
   projection: null,
   path: null,
   colorScale: null,
-  colorMode: 'count', // 'count' or 'salary'
+  colorMode: 'count', // 'count', 'salary', 'perCapita', 'quotient' or 'bivariate'
+  level: 'department', // 'department' or 'region'
   selectedDepts: [],
+  selectedRegions: [],
+  geojson: null,
+  regionFeatures: null, // Built from department geometries on first use
   tooltip: null,
 
+  // Zoom state (departments are scaled, points are redrawn in screen space)
+  width: 0,
+  height: 0,
+  zoom: null,
+  zoomLayer: null,
+  zoomTransform: null,
+  metroExtent: null, // [[x0, y0], [x1, y1]] screen area of metropolitan France
+  zoomSelectionKey: '', // Department/region filter the view was last fitted to
+
+  // Offer points layer
+  showPoints: false,
+  pointsLayer: null,
+  CLUSTER_CELL: 40, // Grid cell size in screen pixels: offers in the same cell merge
+  projectedOffers: new WeakMap(), // offer -> { point, inset }
+  pointsFrame: null,
+
+  // Radius filter: circle layer and pending map pick
+  radiusLayer: null,
+  pickCallback: null,
+  pickKeyHandler: null,
+
+  // Overseas departments: fixed inset boxes beside metropolitan France, each with its own projection
+  INSETS: [
+    { code: '971', label: 'Guadeloupe', bounds: [[-61.81, 15.83], [-61.0, 16.52]] },
+    { code: '972', label: 'Martinique', bounds: [[-61.23, 14.39], [-60.81, 14.88]] },
+    { code: '973', label: 'Guyane', bounds: [[-54.6, 2.11], [-51.6, 5.75]] },
+    { code: '974', label: 'La Réunion', bounds: [[55.21, -21.39], [55.84, -20.87]] },
+    { code: '976', label: 'Mayotte', bounds: [[45.0, -13.0], [45.3, -12.63]] }
+  ],
+  // Bivariate mode: 3x3 palette, rows = salary tercile (low to high), columns = count tercile
+  BIVARIATE_PALETTE: [
+    ['#e8e8e8', '#ace4e4', '#5ac8c8'],
+    ['#dfb0d6', '#a5add3', '#5698b9'],
+    ['#be64ac', '#8c62aa', '#3b4994']
+  ],
+  bivariateBreaks: null, // { count: [t1, t2], salary: [t1, t2] } for the current stats
+
+  // Playback frame shown instead of the current filters: { stats, offers, maxCount: { department, region } }
+  snapshot: null,
+
+  insets: [], // INSETS laid out for the current size: { ...inset, x, y, w, h, projection }
+  insetLayer: null,
+
   /**
    * Initialize the map
    */
@@ -34,6 +81,14 @@ const FranceMap = {
       .attr('width', width)
       .attr('height', height)
       .attr('viewBox', `0 0 ${width} ${height}`);
+    this.width = width;
+    this.height = height;
+    this.projectedOffers = new WeakMap();
+
+    // Departments go in the zoomed layer, DROM insets and points above it in screen space
+    this.zoomLayer = this.svg.append('g').attr('class', 'map-zoom-layer');
+    this.insetLayer = this.svg.append('g').attr('class', 'map-insets');
+    this.pointsLayer = this.svg.append('g').attr('class', 'map-points');
 
     // Create tooltip
     this.tooltip = d3.select('body')
@@ -45,23 +100,34 @@ const FranceMap = {
     try {
       const response = await fetch('data/france-topo.json');
       const geojson = await response.json();
+      this.geojson = geojson;
 
       // Set up projection - fitExtent centers the map within padded bounds
-      // This ensures France + Corsica are vertically centered
+      // This ensures France + Corsica are vertically centered; the DROM column sits on the left
       const padding = 20;
+      const insetWidth = this.layoutInsets(padding);
+      this.metroExtent = [[insetWidth + padding * 2, padding], [width - padding, height - padding]];
       this.projection = d3.geoMercator()
-        .fitExtent(
-          [[padding, padding], [width - padding, height - padding]],
-          geojson
-        );
+        .fitExtent(this.metroExtent, geojson);
 
       this.path = d3.geoPath().projection(this.projection);
 
       // Draw map
       this.drawMap(geojson);
+      this.radiusLayer = this.zoomLayer.append('g').attr('class', 'map-radius');
+      this.drawInsets();
+      this.initZoom();
+      this.resetFocusTarget();
+
+      // Map clicks pick the radius search centre while a pick is pending
+      this.svg.on('click.pick', (event) => this.handlePickClick(event));
 
-      // Initial render
-      this.update();
+      // Initial render (a level chosen before the map loaded applies now)
+      if (this.level === 'region') {
+        this.setLevel(this.level);
+      } else {
+        this.update();
+      }
     } catch (error) {
       console.error('Error loading map data:', error);
       container.innerHTML = '<p class="loading">Erreur de chargement de la carte</p>';
@@ -74,7 +140,7 @@ const FranceMap = {
    */
   drawMap(geojson) {
     // Create a group for the map
-    const g = this.svg.append('g').attr('class', 'departments');
+    const g = this.zoomLayer.append('g').attr('class', 'departments');
 
     // Draw departments
     g.selectAll('path')
@@ -87,61 +153,977 @@ const FranceMap = {
       .attr('fill', '#e2e8f0')
       .attr('stroke', '#fff')
       .attr('stroke-width', 0.5)
-      .on('mouseover', (event, d) => this.handleMouseOver(event, d))
-      .on('mouseout', () => this.handleMouseOut())
-      .on('click', (event, d) => this.handleClick(d));
+      .attr('vector-effect', 'non-scaling-stroke')
+      .call(selection => this.bindAreaEvents(selection));
   },
 
   /**
    * Update map colors based on data
    */
   update() {
-    const stats = DataProcessor.getStats();
-    const byDept = stats.byDepartment;
+    const stats = this.getStats();
+    const byDept = this.getAreaStats(stats);
 
     // Determine values for color scale
-    let values;
-    if (this.colorMode === 'count') {
-      values = Object.values(byDept).map(d => d.count);
-    } else {
-      values = Object.values(byDept)
-        .filter(d => d.salaryStats)
-        .map(d => d.salaryStats.median);
-    }
+    const reference = this.getNationalReference(byDept);
+    const values = Object.keys(byDept)
+      .map(code => this.getAreaValue(code, byDept, reference))
+      .filter(v => v !== null);
 
-    const maxVal = Math.max(...values, 1);
+    // During playback, counts share one scale across frames so colours are comparable
+    const maxVal = this.snapshot && this.colorMode === 'count'
+      ? Math.max(this.snapshot.maxCount[this.level], 1)
+      : Math.max(...values, 1);
 
     // Create color scale using CEPID brand colors
     // Count: light indigo to primary blue
     // Salary: light amber to dark blue
-    this.colorScale = d3.scaleSequential()
-      .domain([0, maxVal])
-      .interpolator(this.colorMode === 'count'
-        ? d3.interpolate('#e0e7ff', '#2563eb')
-        : d3.interpolate('#fef3c7', '#1d4ed8'));
+    // Normalised modes: amber (under-represented) to blue (over-represented) around the national level,
+    // on a log scale so half and double the national level are equally far from neutral;
+    // capped at 4x either way so one tiny department doesn't wash out the rest
+    if (this.isNormalizedMode()) {
+      const center = this.colorMode === 'quotient' ? 1 : reference.perCapita;
+      const spread = Math.min(4, Math.max(1.5, ...values.map(v => Math.max(v / center, center / v))));
+      this.colorScale = d3.scaleDivergingLog()
+        .domain([center / spread, center, center * spread])
+        .interpolator(d3.piecewise(d3.interpolateRgb, ['#d97706', '#f8fafc', '#1d4ed8']))
+        .clamp(true);
+    } else {
+      this.colorScale = d3.scaleSequential()
+        .domain([0, maxVal])
+        .interpolator(this.colorMode === 'count'
+          ? d3.interpolate('#e0e7ff', '#2563eb')
+          : d3.interpolate('#fef3c7', '#1d4ed8'));
+    }
 
-    // Update department colors
+    if (this.colorMode === 'bivariate') {
+      this.bivariateBreaks = this.getBivariateBreaks(byDept);
+    }
+
+    // Update department (or region) colors
     const self = this;
-    this.svg.selectAll('.department')
+    this.svg.selectAll(this.level === 'region' ? '.region' : '.department')
       .transition()
       .duration(300)
       .attr('fill', function() {
         const code = this.getAttribute('data-code');
-        const deptData = byDept[code];
+        if (self.colorMode === 'bivariate') return self.getBivariateColor(byDept[code]);
+        const value = self.getAreaValue(code, byDept, reference);
+        return value === null ? '#f1f5f9' : self.colorScale(value);
+      });
+
+    this.renderHatching(byDept);
+
+    // Update legend
+    this.updateLegend(maxVal);
+
+    this.renderRadius();
+    this.renderPoints();
+    this.zoomToSelection();
+  },
+
+  /**
+   * Draw the radius filter circle (a geodesic circle on the same projection)
+   */
+  renderRadius() {
+    if (!this.radiusLayer || !this.path) return;
+
+    this.radiusLayer.selectAll('*').remove();
+
+    this.insetLayer?.select('.map-radius').selectAll('*').remove();
+
+    const radius = DataProcessor.filters.radius;
+    if (!radius) return;
+
+    const circle = d3.geoCircle()
+      .center([radius.lng, radius.lat])
+      .radius(radius.km / 6371 * 180 / Math.PI)();
+
+    // Overseas centres are drawn in their (unzoomed) inset
+    const inset = this.getInset(radius.lng, radius.lat);
+    const layer = inset ? this.insetLayer.select('.map-radius') : this.radiusLayer;
+    const projection = inset ? inset.projection : this.projection;
+
+    layer.append('path')
+      .datum(circle)
+      .attr('class', 'map-radius-circle')
+      .attr('d', d3.geoPath(projection))
+      .attr('vector-effect', 'non-scaling-stroke');
+
+    const [x, y] = projection([radius.lng, radius.lat]);
+    layer.append('circle')
+      .attr('class', 'map-radius-center')
+      .attr('cx', x)
+      .attr('cy', y)
+      .attr('r', inset ? 4 : 4 / (this.zoomTransform?.k || 1));
+  },
+
+  /**
+   * Lay out the DROM inset boxes in a column on the left of the map
+   * @param {number} padding - Outer padding in pixels
+   * @returns {number} Width of the column
+   */
+  layoutInsets(padding) {
+    const gap = 6;
+    const w = Math.round(Math.min(96, Math.max(56, this.width * 0.14)));
+    const h = (this.height - padding * 2 - gap * (this.INSETS.length - 1)) / this.INSETS.length;
+    const labelHeight = 14;
+
+    this.insets = this.INSETS.map((inset, i) => {
+      const x = padding;
+      const y = padding + i * (h + gap);
+      const [[west, south], [east, north]] = inset.bounds;
+      const projection = d3.geoMercator()
+        .fitExtent(
+          [[x + 4, y + labelHeight], [x + w - 4, y + h - 4]],
+          { type: 'MultiPoint', coordinates: [[west, south], [east, north]] }
+        )
+        .clipExtent([[x, y], [x + w, y + h]]);
+      return { ...inset, x, y, w, h, projection };
+    });
+
+    return w;
+  },
+
+  /**
+   * Draw the DROM inset boxes
+   * There is no overseas geometry in france-topo.json, so each department is the whole box;
+   * one box per level so colouring and selection work like the metropolitan shapes
+   */
+  drawInsets() {
+    // Opaque column so the zoomed metropolitan map slides underneath
+    const last = this.insets[this.insets.length - 1];
+    this.insetLayer.append('rect')
+      .attr('class', 'map-insets-bg')
+      .attr('width', last.x + last.w + last.x / 2)
+      .attr('height', this.height);
+
+    const boxes = this.insetLayer.selectAll('g.map-inset')
+      .data(this.insets)
+      .enter()
+      .append('g')
+      .attr('class', 'map-inset');
+
+    const areas = [
+      { cssClass: 'department', code: inset => inset.code, strokeWidth: 0.5 },
+      { cssClass: 'region', code: inset => Regions.getRegion(inset.code).code, strokeWidth: 1 }
+    ];
+
+    areas.forEach(area => {
+      boxes.append('rect')
+        .datum(inset => ({ inset, properties: { code: area.code(inset), nom: inset.label } }))
+        .attr('class', `${area.cssClass} map-inset-area`)
+        .attr('data-code', d => d.properties.code)
+        .attr('x', d => d.inset.x)
+        .attr('y', d => d.inset.y)
+        .attr('width', d => d.inset.w)
+        .attr('height', d => d.inset.h)
+        .attr('rx', 4)
+        .attr('fill', '#e2e8f0')
+        .attr('stroke', '#fff')
+        .attr('stroke-width', area.strokeWidth)
+        .style('display', area.cssClass === 'region' && this.level !== 'region' ? 'none' : null)
+        .call(selection => this.bindAreaEvents(selection));
+    });
+
+    boxes.append('text')
+      .attr('class', 'map-inset-label')
+      .attr('x', d => d.x + 4)
+      .attr('y', d => d.y + 11)
+      .text(d => `${d.label} (${d.code})`);
+
+    this.insetLayer.append('g').attr('class', 'map-radius');
+  },
+
+  /**
+   * Find the inset showing a point
+   * @param {number} lng - Longitude
+   * @param {number} lat - Latitude
+   * @returns {object|null} Laid out inset or null for metropolitan France
+   */
+  getInset(lng, lat) {
+    return this.insets.find(({ bounds: [[west, south], [east, north]] }) =>
+      lng >= west - 0.5 && lng <= east + 0.5 && lat >= south - 0.5 && lat <= north + 0.5
+    ) || null;
+  },
+
+  /**
+   * Find the inset box under a screen position
+   * @param {number[]} point - [x, y] in SVG pixels
+   * @returns {object|null} Laid out inset or null
+   */
+  getInsetAt([x, y]) {
+    return this.insets.find(inset =>
+      x >= inset.x && x <= inset.x + inset.w && y >= inset.y && y <= inset.y + inset.h
+    ) || null;
+  },
+
+  /**
+   * Wait for a click on the map and report its coordinates
+   * @param {function} callback - Called with { lat, lng }
+   */
+  startPick(callback) {
+    this.pickCallback = callback;
+    document.getElementById('france-map')?.classList.add('is-picking');
+
+    const hint = document.getElementById('map-pick-hint');
+    if (hint) hint.hidden = false;
+
+    this.pickKeyHandler = (e) => {
+      if (e.key === 'Escape') this.cancelPick();
+    };
+    document.addEventListener('keydown', this.pickKeyHandler);
+  },
+
+  /**
+   * Leave pick mode without choosing a point
+   */
+  cancelPick() {
+    this.pickCallback = null;
+    document.getElementById('france-map')?.classList.remove('is-picking');
+
+    const hint = document.getElementById('map-pick-hint');
+    if (hint) hint.hidden = true;
+
+    document.removeEventListener('keydown', this.pickKeyHandler);
+  },
+
+  /**
+   * Convert a map click to coordinates when a pick is pending
+   */
+  handlePickClick(event) {
+    if (!this.pickCallback || !this.projection) return;
+
+    const pointer = d3.pointer(event, this.svg.node());
+    const inset = this.getInsetAt(pointer);
+    const transform = this.zoomTransform || d3.zoomIdentity;
+    const [lng, lat] = inset
+      ? inset.projection.invert(pointer)
+      : this.projection.invert(transform.invert(pointer));
+    const callback = this.pickCallback;
+
+    this.cancelPick();
+    callback({ lat, lng });
+  },
+
+  /**
+   * Stats for the areas of the current level
+   * @param {object} stats - DataProcessor stats
+   * @returns {object} Area code -> { name, count, salaryStats }
+   */
+  getAreaStats(stats) {
+    return this.level === 'region' ? stats.byRegion : stats.byDepartment;
+  },
+
+  /**
+   * Stats the map shows: the playback frame, or the current filters
+   * @returns {object} DataProcessor stats
+   */
+  getStats() {
+    return this.snapshot ? this.snapshot.stats : DataProcessor.getStats();
+  },
+
+  /**
+   * Offers the points layer shows: the playback frame, or the current filters
+   * @returns {array} Offers
+   */
+  getOffers() {
+    return this.snapshot ? this.snapshot.offers : DataProcessor.getOffers(true);
+  },
+
+  /**
+   * Show a playback frame instead of the current filters
+   * @param {object|null} snapshot - { stats, offers, maxCount } or null to return to the filters
+   */
+  setSnapshot(snapshot) {
+    this.snapshot = snapshot;
+    if (!this.svg) return;
+    this.update();
+    this.updateComparison();
+  },
+
+  /**
+   * Whether the colour mode is relative to population
+   * @returns {boolean}
+   */
+  isNormalizedMode() {
+    return this.colorMode === 'perCapita' || this.colorMode === 'quotient';
+  },
+
+  /**
+   * Population of an area of the current level
+   * @param {string} code - Department or region code
+   * @returns {number|null} Inhabitants or null if unknown
+   */
+  getAreaPopulation(code) {
+    if (this.level === 'region') {
+      const region = Regions.get(code);
+      return region ? Populations.sum(region.departments) : null;
+    }
+    return Populations.get(code);
+  },
+
+  /**
+   * National totals the normalised modes compare against
+   * @param {object} areaStats - Area code -> stats for the current filters
+   * @returns {object} { offers, population, perCapita } (perCapita per 100,000 inhabitants)
+   */
+  getNationalReference(areaStats) {
+    const offers = d3.sum(Object.values(areaStats), d => d.count);
+    const population = Populations.total();
+    return { offers, population, perCapita: offers / population * 100000 };
+  },
+
+  /**
+   * Value of an area in the current colour mode
+   * @param {string} code - Department or region code
+   * @param {object} areaStats - Area code -> stats for the current filters
+   * @param {object} reference - National totals from getNationalReference()
+   * @returns {number|null} Value, or null when the area has no data
+   */
+  getAreaValue(code, areaStats, reference) {
+    const data = areaStats[code];
+    if (!data) return null;
+
+    switch (this.colorMode) {
+      case 'salary':
+        // Medians below the minimum sample are left uncoloured
+        return SalaryUtils.isSufficient(data.salaryStats) ? data.salaryStats.median : null;
+      case 'perCapita':
+      case 'quotient': {
+        const population = this.getAreaPopulation(code);
+        if (!population) return null;
+        const perCapita = data.count / population * 100000;
+        // Location quotient: share of national offers / share of national population
+        return this.colorMode === 'perCapita' ? perCapita : perCapita / reference.perCapita;
+      }
+      default:
+        return data.count;
+    }
+  },
+
+  /**
+   * Tercile breaks of offer counts and median salaries across areas
+   * Salary breaks only use medians of at least MIN_SAMPLE salaries: low-confidence areas are placed
+   * on these breaks (and hatched) but don't move them
+   * @param {object} areaStats - Area code -> stats for the current filters
+   * @returns {object} { count: [t1, t2], salary: [t1, t2] } (salary breaks undefined without a sufficient area)
+   */
+  getBivariateBreaks(areaStats) {
+    const areas = Object.values(areaStats);
+    const counts = areas.map(d => d.count).sort(d3.ascending);
+    const salaries = areas
+      .filter(d => SalaryUtils.isSufficient(d.salaryStats))
+      .map(d => d.salaryStats.median)
+      .sort(d3.ascending);
+    const terciles = values => [d3.quantileSorted(values, 1 / 3), d3.quantileSorted(values, 2 / 3)];
+    return { count: terciles(counts), salary: terciles(salaries) };
+  },
+
+  /**
+   * Bivariate colour of an area: offer count tercile x median salary tercile
+   * @param {object} data - Area stats
+   * @returns {string} Palette colour, or the "no data" grey without offers or salaries
+   */
+  getBivariateColor(data) {
+    if (!data || !data.salaryStats || !this.bivariateBreaks || this.bivariateBreaks.salary[0] === undefined) return '#f1f5f9';
+    const tercile = (value, [t1, t2]) => value <= t1 ? 0 : value <= t2 ? 1 : 2;
+    const col = tercile(data.count, this.bivariateBreaks.count);
+    const row = tercile(data.salaryStats.median, this.bivariateBreaks.salary);
+    return this.BIVARIATE_PALETTE[row][col];
+  },
+
+  /**
+   * Whether an area's median salary rests on too few offers
+   * @param {object} data - Area stats
+   * @returns {boolean}
+   */
+  isLowConfidence(data) {
+    return Boolean(data && data.salaryStats && !SalaryUtils.isSufficient(data.salaryStats));
+  },
+
+  /**
+   * Hatch areas with a low-confidence median salary (bivariate mode only)
+   * Drawn as an overlay so area fills keep plain colours and transitions
+   * @param {object} areaStats - Area code -> stats for the current filters
+   */
+  renderHatching(areaStats) {
+    if (!this.svg.select('#map-hatch').node()) {
+      this.svg.insert('defs', ':first-child')
+        .append('pattern')
+        .attr('id', 'map-hatch')
+        .attr('patternUnits', 'userSpaceOnUse')
+        .attr('width', 5)
+        .attr('height', 5)
+        .attr('patternTransform', 'rotate(45)')
+        .append('line')
+        .attr('class', 'map-hatch-line')
+        .attr('x1', 0)
+        .attr('y1', 0)
+        .attr('x2', 0)
+        .attr('y2', 5);
+    }
+
+    const selector = this.level === 'region' ? '.region' : '.department';
+    const show = this.colorMode === 'bivariate';
+    const hatched = d => show && this.isLowConfidence(areaStats[d.properties.code]);
+    const path = this.path;
+
+    // Metropolitan shapes (zoomed) and inset boxes each get their own overlay, kept just above the areas
+    [this.zoomLayer, this.insetLayer].forEach(layer => {
+      let overlay = layer.select('.map-hatching');
+      if (overlay.empty()) {
+        overlay = layer.append('g').attr('class', 'map-hatching');
+      }
+      layer.node().insertBefore(overlay.node(), layer.select('.map-radius').node());
+
+      const areas = layer.selectAll(selector).data().filter(hatched);
+
+      overlay.selectAll('.map-hatch-area')
+        .data(areas, d => d.properties.code)
+        .join(enter => enter.append(d => document.createElementNS(d3.namespaces.svg, d.inset ? 'rect' : 'path')))
+        .attr('class', 'map-hatch-area')
+        .attr('fill', 'url(#map-hatch)')
+        .each(function(d) {
+          if (d.inset) {
+            d3.select(this)
+              .attr('x', d.inset.x)
+              .attr('y', d.inset.y)
+              .attr('width', d.inset.w)
+              .attr('height', d.inset.h)
+              .attr('rx', 4);
+          } else {
+            d3.select(this).attr('d', path(d));
+          }
+        });
+    });
+  },
+
+  /**
+   * Legend for the bivariate mode: 3x3 square with both axes
+   * @returns {string} HTML
+   */
+  getBivariateLegendHtml() {
+    const breaks = this.bivariateBreaks;
+    const fmtCount = v => Math.round(v);
+    // Breaks are gross annual medians: shown in the salary display settings, with the mix of the whole map
+    const fmtSalary = v => Charts.formatSalary(Charts.convertSalary(v, this.getStats()), true);
+
+    return `
+      <h4>Offres × salaire médian</h4>
+      <div class="map-bivariate-legend">
+        <span class="map-bivariate-axis-y">Salaire →</span>
+        <div class="map-bivariate-grid">
+          ${[2, 1, 0].map(row => [0, 1, 2].map(col => `
+            <span style="background: ${this.BIVARIATE_PALETTE[row][col]};"></span>
+          `).join('')).join('')}
+        </div>
+        <span class="map-bivariate-axis-x">Offres →</span>
+      </div>
+      ${breaks ? `
+        <p class="map-legend-note">
+          Terciles offres : ${fmtCount(breaks.count[0])} / ${fmtCount(breaks.count[1])}<br>
+          Terciles salaire : ${breaks.salary[0] !== undefined ? `${fmtSalary(breaks.salary[0])} / ${fmtSalary(breaks.salary[1])}` : 'NC'}
+        </p>
+      ` : ''}
+      <p class="map-legend-note">
+        Haut droite : beaucoup d'offres bien payées. Bas droite : du volume, des salaires bas.
+        Haut gauche : peu d'offres mais bien payées.
+      </p>
+      <div style="display: flex; align-items: center; gap: 8px; margin-top: 4px;">
+        <svg width="20" height="20" aria-hidden="true"><rect width="20" height="20" fill="#e8e8e8"></rect><rect width="20" height="20" fill="url(#map-hatch)"></rect></svg>
+        <span style="font-size: 12px;">Moins de ${SalaryUtils.MIN_SAMPLE} salaires : médiane peu fiable</span>
+      </div>
+      <div style="display: flex; align-items: center; gap: 8px; margin-top: 4px;">
+        <div style="width: 20px; height: 20px; background: #f1f5f9; border-radius: 2px; border: 1px solid #e2e8f0;"></div>
+        <span style="font-size: 12px;">Salaire NC</span>
+      </div>
+    `;
+  },
+
+  /**
+   * Format a per-capita rate or location quotient
+   * @param {number} value - Value in the current normalised mode
+   * @returns {string} e.g. "12,4 / 100 000 hab." or "1,35"
+   */
+  formatNormalized(value) {
+    if (this.colorMode === 'perCapita') {
+      return `${value.toLocaleString('fr-FR', { maximumFractionDigits: 1 })} / 100 000 hab.`;
+    }
+    return value.toLocaleString('fr-FR', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  },
+
+  /**
+   * Areas picked for comparison at the current level
+   * @returns {Array<string>} Department or region codes (mutable)
+   */
+  getSelection() {
+    return this.level === 'region' ? this.selectedRegions : this.selectedDepts;
+  },
+
+  /**
+   * Name of an area of the current level
+   * @param {string} code - Department or region code
+   * @returns {string} Name
+   */
+  getAreaName(code) {
+    return this.level === 'region'
+      ? Regions.get(code)?.name || code
+      : DataProcessor.getData().departments[code] || code;
+  },
+
+  /**
+   * Switch between department and region aggregation
+   * @param {string} level - 'department' or 'region'
+   */
+  setLevel(level) {
+    this.level = level;
+    if (!this.svg) return;
+
+    if (level === 'region' && !this.regionFeatures && this.geojson) {
+      this.drawRegions();
+    }
+
+    this.svg.select('.departments').style('display', level === 'region' ? 'none' : null);
+    this.svg.select('.regions').style('display', level === 'region' ? null : 'none');
+    this.insetLayer.selectAll('.department').style('display', level === 'region' ? 'none' : null);
+    this.insetLayer.selectAll('.region').style('display', level === 'region' ? null : 'none');
+    this.resetFocusTarget();
+
+    const title = document.getElementById('comparison-title');
+    if (title) title.textContent = level === 'region' ? 'Comparer les régions' : 'Comparer les départements';
+    const help = document.getElementById('comparison-help');
+    if (help) help.textContent = `Cliquez sur les ${level === 'region' ? 'régions' : 'départements'} pour les ajouter à la comparaison`;
+
+    this.update();
+    this.updateComparison();
+  },
+
+  /**
+   * Draw region shapes (merged department geometries)
+   */
+  drawRegions() {
+    this.regionFeatures = this.buildRegionFeatures(this.geojson.features);
+
+    this.zoomLayer.insert('g', '.map-radius')
+      .attr('class', 'regions')
+      .selectAll('path')
+      .data(this.regionFeatures)
+      .enter()
+      .append('path')
+      .attr('d', this.path)
+      .attr('class', 'region')
+      .attr('data-code', d => d.properties.code)
+      .attr('fill', '#e2e8f0')
+      .attr('stroke', '#fff')
+      .attr('stroke-width', 1)
+      .attr('vector-effect', 'non-scaling-stroke')
+      .call(selection => this.bindAreaEvents(selection));
+  },
+
+  /**
+   * Merge department geometries into one feature per region
+   * Borders shared by two departments of a region appear once in each direction and
+   * cancel out; the remaining edges are chained back into rings
+   * @param {array} features - Department GeoJSON features
+   * @returns {array} Region features with properties { code, nom }
+   */
+  buildRegionFeatures(features) {
+    const key = p => `${p[0]},${p[1]}`;
+
+    return Regions.list.map(region => {
+      const members = features.filter(f => region.departments.includes(f.properties.code));
+      if (members.length === 0) return null;
 
-        if (!deptData) return '#f1f5f9';
+      // Directed edges of every ring, minus internal borders
+      const edges = new Map();
+      members.forEach(f => {
+        const polygons = f.geometry.type === 'Polygon' ? [f.geometry.coordinates] : f.geometry.coordinates;
+        polygons.forEach(rings => rings.forEach(ring => {
+          for (let i = 0; i < ring.length - 1; i++) {
+            const reverse = `${key(ring[i + 1])}|${key(ring[i])}`;
+            if (edges.has(reverse)) {
+              edges.delete(reverse);
+            } else {
+              edges.set(`${key(ring[i])}|${key(ring[i + 1])}`, [ring[i], ring[i + 1]]);
+            }
+          }
+        }));
+      });
+
+      // Chain edges into rings
+      const outgoing = new Map();
+      edges.forEach(edge => {
+        const k = key(edge[0]);
+        if (!outgoing.has(k)) outgoing.set(k, []);
+        outgoing.get(k).push(edge);
+      });
 
-        if (self.colorMode === 'count') {
-          return self.colorScale(deptData.count);
-        } else {
-          return deptData.salaryStats
-            ? self.colorScale(deptData.salaryStats.median)
-            : '#f1f5f9';
+      const rings = [];
+      outgoing.forEach(list => {
+        while (list.length) {
+          let [a, b] = list.pop();
+          const ring = [a];
+          for (;;) {
+            ring.push(b);
+            const next = outgoing.get(key(b));
+            if (!next || next.length === 0) break;
+            [a, b] = next.pop();
+          }
+          rings.push(ring);
         }
       });
 
-    // Update legend
-    this.updateLegend(maxVal);
+      // Rings wound like the department outlines are exteriors; reversed ones are holes
+      const exteriors = [];
+      const holes = [];
+      rings.forEach(ring => {
+        const isHole = d3.geoArea({ type: 'Polygon', coordinates: [ring] }) > 2 * Math.PI;
+        (isHole ? holes : exteriors).push(ring);
+      });
+
+      const polygons = exteriors.map(ring => [ring]);
+      holes.forEach(hole => {
+        const owner = polygons.find(p => d3.geoContains({ type: 'Polygon', coordinates: [p[0]] }, hole[0]));
+        if (owner) owner.push(hole);
+      });
+
+      return {
+        type: 'Feature',
+        properties: { code: region.code, nom: region.name },
+        geometry: { type: 'MultiPolygon', coordinates: polygons }
+      };
+    }).filter(Boolean);
+  },
+
+  /**
+   * Set up wheel/drag/pinch zoom
+   */
+  initZoom() {
+    this.zoomTransform = d3.zoomIdentity;
+    this.zoom = d3.zoom()
+      .scaleExtent([1, 12])
+      .translateExtent([[0, 0], [this.width, this.height]])
+      // Insets keep their scale: gestures starting on them don't move the main map
+      .filter(event => (!event.ctrlKey || event.type === 'wheel') && !event.button && !event.target.closest('.map-insets'))
+      .on('zoom', (event) => {
+        this.zoomTransform = event.transform;
+        this.zoomLayer.attr('transform', event.transform);
+        this.radiusLayer.select('.map-radius-center').attr('r', 4 / event.transform.k);
+        this.scheduleRenderPoints();
+      });
+
+    this.svg.call(this.zoom);
+
+    // Keyboard zoom while focus is on the map
+    this.svg.on('keydown.zoom', (event) => {
+      if (event.key === '+' || event.key === '=') this.zoomBy(1.5);
+      else if (event.key === '-') this.zoomBy(1 / 1.5);
+      else if (event.key === '0') this.resetZoom();
+      else return;
+      event.preventDefault();
+    });
+  },
+
+  /**
+   * Zoom in or out around the centre of the map
+   * @param {number} factor - Scale multiplier (> 1 zooms in)
+   */
+  zoomBy(factor) {
+    if (!this.zoom) return;
+    this.svg.transition().duration(250).call(this.zoom.scaleBy, factor);
+  },
+
+  /**
+   * Return to the full view of France
+   */
+  resetZoom() {
+    if (!this.zoom) return;
+    this.svg.transition().duration(500).call(this.zoom.transform, d3.zoomIdentity);
+  },
+
+  /**
+   * Fit the view to the departments/regions in the filters, once per filter change
+   * Clearing the filter returns to the full view; other filter changes keep the user's zoom
+   */
+  zoomToSelection() {
+    if (!this.zoom || !this.geojson) return;
+
+    const { departments = [], regions = [] } = DataProcessor.filters;
+    const codes = new Set(departments);
+    regions.forEach(code => (Regions.get(code)?.departments || []).forEach(dept => codes.add(dept)));
+
+    const key = Array.from(codes).sort().join(',');
+    if (key === this.zoomSelectionKey) return;
+    const hadSelection = this.zoomSelectionKey !== '';
+    this.zoomSelectionKey = key;
+
+    // Overseas departments are always visible in their insets
+    const features = this.geojson.features.filter(f => codes.has(f.properties.code));
+    if (features.length === 0) {
+      if (hadSelection) this.resetZoom();
+      return;
+    }
+
+    const [[x0, y0], [x1, y1]] = this.path.bounds({ type: 'FeatureCollection', features });
+    const [[ex0, ey0], [ex1, ey1]] = this.metroExtent;
+    const k = Math.max(1, Math.min(8, 0.9 / Math.max((x1 - x0) / (ex1 - ex0), (y1 - y0) / (ey1 - ey0))));
+    const transform = d3.zoomIdentity
+      .translate((ex0 + ex1) / 2 - k * (x0 + x1) / 2, (ey0 + ey1) / 2 - k * (y0 + y1) / 2)
+      .scale(k);
+
+    this.svg.transition().duration(750).call(this.zoom.transform, transform);
+  },
+
+  /**
+   * Mouse, touch and keyboard handlers shared by departments, regions and insets
+   * Areas use a roving tabindex: Tab enters the map once, arrow keys move between areas
+   * @param {object} selection - D3 selection of area shapes
+   */
+  bindAreaEvents(selection) {
+    selection
+      .attr('tabindex', -1)
+      .attr('role', 'button')
+      .attr('aria-pressed', 'false')
+      .attr('aria-label', d => `${d.properties.nom} (${d.properties.code})`)
+      .on('mouseover', (event, d) => this.handleMouseOver(event, d))
+      .on('mouseout', () => this.handleMouseOut())
+      .on('click', (event, d) => this.handleClick(d))
+      .on('focus', (event, d) => this.handleAreaFocus(event, d))
+      .on('blur', () => this.handleMouseOut())
+      .on('keydown', (event, d) => this.handleAreaKeydown(event, d));
+  },
+
+  /**
+   * Areas of the current level, in traversal order (metropolitan shapes, then insets)
+   * @returns {Element[]} Area elements
+   */
+  getFocusableAreas() {
+    const selector = this.level === 'region' ? '.region' : '.department';
+    return [
+      ...this.zoomLayer.selectAll(selector).nodes(),
+      ...this.insetLayer.selectAll(selector).nodes()
+    ];
+  },
+
+  /**
+   * Make the first area of the current level the map's single tab stop
+   */
+  resetFocusTarget() {
+    this.svg.selectAll('.department, .region').attr('tabindex', -1);
+    const first = this.getFocusableAreas()[0];
+    if (first) first.setAttribute('tabindex', 0);
+  },
+
+  /**
+   * Focused area: becomes the tab stop, shows its tooltip and is scrolled into view when zoomed
+   */
+  handleAreaFocus(event, d) {
+    this.svg.selectAll('.department, .region').attr('tabindex', -1);
+    event.target.setAttribute('tabindex', 0);
+
+    const rect = event.target.getBoundingClientRect();
+    this.handleMouseOver({
+      target: event.target,
+      pageX: rect.left + rect.width / 2 + window.scrollX,
+      pageY: rect.top + window.scrollY
+    }, d);
+
+    // Keyboard focus only: a click already has the area in view
+    const transform = this.zoomTransform || d3.zoomIdentity;
+    if (d.geometry && transform.k > 1 && event.target.matches(':focus-visible')) {
+      const centroid = this.path.centroid(d);
+      const [x, y] = transform.apply(centroid);
+      const [[ex0, ey0], [ex1, ey1]] = this.metroExtent;
+      if (x < ex0 || x > ex1 || y < ey0 || y > ey1) {
+        this.svg.transition().duration(300).call(this.zoom.translateTo, centroid[0], centroid[1]);
+      }
+    }
+  },
+
+  /**
+   * Keyboard on an area: Enter/Space selects it, arrows/Home/End move focus
+   */
+  handleAreaKeydown(event, d) {
+    if (event.key === 'Enter' || event.key === ' ') {
+      event.preventDefault();
+      this.handleClick(d);
+      return;
+    }
+
+    const areas = this.getFocusableAreas();
+    const idx = areas.indexOf(event.target);
+    const moves = {
+      ArrowRight: idx + 1,
+      ArrowDown: idx + 1,
+      ArrowLeft: idx - 1,
+      ArrowUp: idx - 1,
+      Home: 0,
+      End: areas.length - 1
+    };
+    if (!(event.key in moves)) return;
+
+    event.preventDefault();
+    const next = areas[(moves[event.key] + areas.length) % areas.length];
+    next.focus();
+  },
+
+  /**
+   * Show or hide the offer points layer
+   * @param {boolean} show - Whether to draw points
+   */
+  setShowPoints(show) {
+    this.showPoints = show;
+    this.update();
+  },
+
+  /**
+   * Redraw points on the next frame (zoom events fire faster than we can re-cluster)
+   */
+  scheduleRenderPoints() {
+    if (!this.showPoints || this.pointsFrame) return;
+    this.pointsFrame = requestAnimationFrame(() => {
+      this.pointsFrame = null;
+      this.renderPoints();
+    });
+  },
+
+  /**
+   * Project an offer's coordinates (cached)
+   * @param {object} offer - Offer with lat/lng
+   * @returns {object|null} { point, inset } where point is [x, y] in projection space,
+   *   or in screen space for offers shown in a DROM inset; null without coordinates
+   */
+  projectOffer(offer) {
+    if (offer.lat == null || offer.lng == null) return null;
+
+    let projected = this.projectedOffers.get(offer);
+    if (!projected) {
+      const inset = this.getInset(offer.lng, offer.lat);
+      projected = {
+        point: (inset ? inset.projection : this.projection)([offer.lng, offer.lat]),
+        inset: inset ? inset.code : null
+      };
+      this.projectedOffers.set(offer, projected);
+    }
+    return projected;
+  },
+
+  /**
+   * Group visible offers into screen-space grid cells at the current zoom
+   * @param {array} offers - Offers to cluster
+   * @returns {array} Clusters { key, x, y, offers, jobFamily }
+   */
+  clusterOffers(offers) {
+    const transform = this.zoomTransform || d3.zoomIdentity;
+    const cells = new Map();
+
+    offers.forEach(offer => {
+      const projected = this.projectOffer(offer);
+      if (!projected) return;
+
+      const [x, y] = projected.inset ? projected.point : transform.apply(projected.point);
+      if (x < 0 || y < 0 || x > this.width || y > this.height) return;
+
+      // Inset offers never merge with metropolitan ones drawn underneath
+      const gridKey = `${Math.floor(x / this.CLUSTER_CELL)}:${Math.floor(y / this.CLUSTER_CELL)}`;
+      const key = projected.inset ? `${projected.inset}:${gridKey}` : gridKey;
+      let cell = cells.get(key);
+      if (!cell) {
+        cell = { key, x: 0, y: 0, offers: [] };
+        cells.set(key, cell);
+      }
+      cell.x += x;
+      cell.y += y;
+      cell.offers.push(offer);
+    });
+
+    return Array.from(cells.values(), cell => {
+      const families = d3.rollups(cell.offers, v => v.length, o => o.jobFamily)
+        .sort((a, b) => b[1] - a[1]);
+      return {
+        key: cell.key,
+        x: cell.x / cell.offers.length,
+        y: cell.y / cell.offers.length,
+        offers: cell.offers,
+        families,
+        jobFamily: families[0][0]
+      };
+    });
+  },
+
+  /**
+   * Draw offer clusters for the current filters and zoom
+   */
+  renderPoints() {
+    if (!this.pointsLayer || !this.projection) return;
+
+    if (!this.showPoints) {
+      this.pointsLayer.selectAll('*').remove();
+      return;
+    }
+
+    const clusters = this.clusterOffers(this.getOffers());
+    const maxCount = d3.max(clusters, c => c.offers.length) || 1;
+    const radius = d3.scaleSqrt().domain([1, Math.max(maxCount, 2)]).range([4, 22]);
+
+    const nodes = this.pointsLayer.selectAll('g.map-cluster')
+      .data(clusters, d => d.key)
+      .join(enter => {
+        const g = enter.append('g')
+          .attr('class', 'map-cluster')
+          .style('cursor', 'pointer')
+          .on('mouseover', (event, d) => this.handleClusterOver(event, d))
+          .on('mouseout', () => this.tooltip.style('opacity', 0))
+          .on('click', (event, d) => this.handleClusterClick(d));
+        g.append('circle')
+          .attr('stroke', '#fff')
+          .attr('stroke-width', 1);
+        g.append('text')
+          .attr('class', 'map-cluster-count')
+          .attr('text-anchor', 'middle')
+          .attr('dy', '0.35em');
+        return g;
+      });
+
+    nodes.attr('transform', d => `translate(${d.x},${d.y})`);
+
+    nodes.select('circle')
+      .attr('r', d => radius(d.offers.length))
+      .attr('fill', d => JobClassifier.getColor(d.jobFamily))
+      .attr('fill-opacity', d => d.offers.length > 1 ? 0.85 : 1);
+
+    nodes.select('text')
+      .text(d => d.offers.length > 1 ? d.offers.length : '');
+  },
+
+  /**
+   * Show cluster tooltip: count and main job families
+   */
+  handleClusterOver(event, d) {
+    const count = d.offers.length;
+    const families = d.families.slice(0, 3).map(([family, n]) =>
+      `<span style="color: ${JobClassifier.getColor(family)}">●</span> ${OffersModal.escapeHtml(family)} (${n})`
+    ).join('<br>');
+
+    // Titles come from scraped job ads
+    const title = count === 1 ? OffersModal.escapeHtml(d.offers[0].title) : `${count} offres`;
+    this.tooltip
+      .html(`<strong>${title}</strong><br>${families}`)
+      .style('left', (event.pageX + 10) + 'px')
+      .style('top', (event.pageY - 28) + 'px')
+      .style('opacity', 1);
+  },
+
+  /**
+   * Open the offers of a cluster in the modal
+   */
+  handleClusterClick(d) {
+    if (this.pickCallback) return;
+
+    const places = [...new Set(d.offers.map(o => o.departmentName).filter(Boolean))];
+    this.tooltip.style('opacity', 0);
+    OffersModal.show(d.offers, `Offres localisées : ${places.slice(0, 3).join(', ')}${places.length > 3 ? '…' : ''}`);
   },
 
   /**
@@ -152,34 +1134,80 @@ const FranceMap = {
     const legend = document.getElementById('map-legend');
     if (!legend) return;
 
-    const title = this.colorMode === 'count' ? 'Nombre d\'offres' : 'Salaire médian';
+    if (this.colorMode === 'bivariate') {
+      legend.innerHTML = `${this.getBivariateLegendHtml()}${this.showPoints ? this.getPointsLegendHtml() : ''}`;
+      return;
+    }
+
+    const titles = {
+      count: 'Nombre d\'offres',
+      salary: 'Salaire médian',
+      perCapita: 'Offres pour 100 000 habitants',
+      quotient: 'Indice de localisation'
+    };
+    const title = titles[this.colorMode];
     const isSalary = this.colorMode === 'salary';
+    const isNormalized = this.isNormalizedMode();
     const formatVal = isSalary
       ? v => v === 0 ? 'NC' : SalaryUtils.formatCurrency(v, true)
-      : v => Math.round(v);
+      : isNormalized ? v => this.formatNormalized(v) : v => Math.round(v);
 
     // For salary, start from 0.25 to avoid showing 0/N/A
-    const steps = isSalary ? [0.25, 0.5, 0.75, 1] : [0, 0.25, 0.5, 0.75, 1];
+    // Normalised modes: both ends, halfway (geometrically) to the centre, and the centre itself
+    let values;
+    if (isNormalized) {
+      const [lo, center, hi] = this.colorScale.domain();
+      values = [lo, Math.sqrt(lo * center), center, Math.sqrt(center * hi), hi];
+    } else {
+      values = (isSalary ? [0.25, 0.5, 0.75, 1] : [0, 0.25, 0.5, 0.75, 1]).map(p => p * maxVal);
+    }
+    const note = {
+      perCapita: 'Centre : moyenne nationale. Orange : moins d\'offres que la population ne le laisserait attendre, bleu : plus.',
+      quotient: 'Part des offres nationales / part de la population nationale. 1 = proportionnel, au-dessus de 1 = surreprésenté.'
+    }[this.colorMode];
 
     legend.innerHTML = `
       <h4>${title}</h4>
       <div style="display: flex; flex-direction: column; gap: 4px;">
-        ${steps.map(p => {
-          const val = p * maxVal;
-          return `
-            <div style="display: flex; align-items: center; gap: 8px;">
-              <div style="width: 20px; height: 20px; background: ${this.colorScale(val)}; border-radius: 2px;"></div>
-              <span style="font-size: 12px;">${formatVal(val)}</span>
-            </div>
-          `;
-        }).join('')}
-        ${isSalary ? `
+        ${values.map((val, i) => `
+          <div style="display: flex; align-items: center; gap: 8px;">
+            <div style="width: 20px; height: 20px; background: ${this.colorScale(val)}; border-radius: 2px;"></div>
+            <span style="font-size: 12px;">${isNormalized && i === 0 ? '≤ ' : ''}${isNormalized && i === values.length - 1 ? '≥ ' : ''}${formatVal(val)}</span>
+          </div>
+        `).join('')}
+        ${isSalary || isNormalized ? `
           <div style="display: flex; align-items: center; gap: 8px;">
             <div style="width: 20px; height: 20px; background: #f1f5f9; border-radius: 2px; border: 1px solid #e2e8f0;"></div>
-            <span style="font-size: 12px;">NC</span>
+            <span style="font-size: 12px;">${isSalary ? `NC ou ${SalaryUtils.INSUFFICIENT_LABEL} (moins de ${SalaryUtils.MIN_SAMPLE} salaires)` : 'Aucune offre'}</span>
           </div>
         ` : ''}
       </div>
+      ${note ? `<p class="map-legend-note">${note}</p>` : ''}
+      ${this.showPoints ? this.getPointsLegendHtml() : ''}
+    `;
+  },
+
+  /**
+   * Legend for the offer points layer
+   * @returns {string} HTML
+   */
+  getPointsLegendHtml() {
+    const offers = this.getOffers();
+    const families = [...new Set(offers.map(o => o.jobFamily))]
+      .sort((a, b) => a.localeCompare(b, 'fr'));
+    const unlocated = offers.filter(o => o.lat == null || o.lng == null).length;
+
+    return `
+      <h4 class="map-legend-points-title">Offres (par famille)</h4>
+      <div style="display: flex; flex-direction: column; gap: 2px;">
+        ${families.map(f => `
+          <div style="display: flex; align-items: center; gap: 8px; font-size: 12px;">
+            <span style="width: 10px; height: 10px; border-radius: 50%; background: ${JobClassifier.getColor(f)}; flex-shrink: 0;"></span>
+            <span>${f}</span>
+          </div>
+        `).join('')}
+      </div>
+      ${unlocated ? `<p class="map-legend-note">${unlocated} offre${unlocated > 1 ? 's' : ''} sans localisation</p>` : ''}
     `;
   },
 
@@ -189,8 +1217,8 @@ const FranceMap = {
   handleMouseOver(event, d) {
     const code = d.properties.code;
     const name = d.properties.nom;
-    const stats = DataProcessor.getStats();
-    const deptData = stats.byDepartment[code];
+    const stats = this.getStats();
+    const deptData = this.getAreaStats(stats)[code];
 
     // Highlight
     d3.select(event.target)
@@ -201,10 +1229,19 @@ const FranceMap = {
     let content = `<strong>${name} (${code})</strong><br>`;
     if (deptData) {
       content += `Offres: ${deptData.count}<br>`;
-      if (deptData.salaryStats && deptData.salaryStats.median) {
-        content += `Salaire médian: ${SalaryUtils.formatCurrency(deptData.salaryStats.median, true)} (n=${deptData.salaryStats.count})`;
+      const salary = deptData.salaryStats;
+      if (SalaryUtils.isSufficient(salary)) {
+        content += `Salaire médian: ${SalaryUtils.formatCurrency(salary.median, true)} (n=${salary.count})`;
+        content += `<br><span style="font-size: 12px;">${SalaryUtils.formatConfidenceInterval(SalaryUtils.getMedianCI(salary))}</span>`;
       } else {
-        content += `Salaire médian: NC`;
+        content += `Salaire médian: ${SalaryUtils.formatMedian(salary, true)}${salary ? ` (n=${salary.count})` : ''}`;
+      }
+      if (this.isNormalizedMode()) {
+        const areaStats = this.getAreaStats(stats);
+        const value = this.getAreaValue(code, areaStats, this.getNationalReference(areaStats));
+        if (value !== null) {
+          content += `<br>${this.colorMode === 'perCapita' ? 'Offres' : 'Indice de localisation'}: ${this.formatNormalized(value)}`;
+        }
       }
     } else {
       content += 'Aucune offre';
@@ -224,6 +1261,9 @@ const FranceMap = {
     this.svg.selectAll('.department')
       .attr('stroke', '#fff')
       .attr('stroke-width', 0.5);
+    this.svg.selectAll('.region')
+      .attr('stroke', '#fff')
+      .attr('stroke-width', 1);
 
     this.tooltip.style('opacity', 0);
   },
@@ -232,13 +1272,17 @@ const FranceMap = {
    * Handle click on department
    */
   handleClick(d) {
+    // A pending radius pick takes the click instead
+    if (this.pickCallback) return;
+
     const code = d.properties.code;
-    const idx = this.selectedDepts.indexOf(code);
+    const selected = this.getSelection();
+    const idx = selected.indexOf(code);
 
     if (idx >= 0) {
-      this.selectedDepts.splice(idx, 1);
-    } else if (this.selectedDepts.length < 3) {
-      this.selectedDepts.push(code);
+      selected.splice(idx, 1);
+    } else if (selected.length < DepartmentComparison.MAX) {
+      selected.push(code);
     }
 
     this.updateComparison();
@@ -251,16 +1295,24 @@ const FranceMap = {
     const container = document.getElementById('comparison-cards');
     if (!container) return;
 
-    if (this.selectedDepts.length === 0) {
-      container.innerHTML = '<p class="text-muted">Aucun département sélectionné</p>';
+    const selected = this.getSelection();
+
+    if (this.svg) {
+      this.svg.selectAll(this.level === 'region' ? '.region' : '.department')
+        .attr('aria-pressed', d => selected.includes(d.properties.code) ? 'true' : 'false');
+    }
+
+    if (selected.length === 0) {
+      container.innerHTML = `<p class="text-muted">${this.level === 'region' ? 'Aucune région sélectionnée' : 'Aucun département sélectionné'}</p>`;
       return;
     }
 
-    const stats = DataProcessor.getStats();
+    const stats = this.getStats();
+    const areaStats = this.getAreaStats(stats);
 
-    container.innerHTML = this.selectedDepts.map(code => {
-      const deptData = stats.byDepartment[code];
-      const name = DataProcessor.getData().departments[code] || code;
+    container.innerHTML = selected.map(code => {
+      const deptData = areaStats[code];
+      const name = this.getAreaName(code);
 
       if (!deptData) {
         return `
@@ -282,22 +1334,30 @@ const FranceMap = {
             </div>
             <div>
               <span style="color: var(--color-text-muted);">Salaire médian</span><br>
-              <strong>${deptData.salaryStats && deptData.salaryStats.median ? `${SalaryUtils.formatCurrency(deptData.salaryStats.median, true)} <span class="count-badge">(n=${deptData.salaryStats.count})</span>` : 'NC'}</strong>
+              <strong>${SalaryUtils.formatMedian(deptData.salaryStats, true)}${deptData.salaryStats ? ` <span class="count-badge">(n=${deptData.salaryStats.count})</span>` : ''}</strong>
             </div>
           </div>
           <button onclick="FranceMap.removeFromComparison('${code}')" class="btn btn-secondary" style="margin-top: 8px; padding: 4px 8px; font-size: 12px;">Retirer</button>
         </div>
       `;
     }).join('');
+
+    // Full side-by-side view (departments only)
+    if (this.level === 'department' && selected.length >= DepartmentComparison.MIN) {
+      container.insertAdjacentHTML('beforeend', `
+        <button onclick="DepartmentComparison.open(FranceMap.selectedDepts)" class="btn btn-primary comparison-open">Comparer en détail</button>
+      `);
+    }
   },
 
   /**
    * Remove department from comparison
    */
   removeFromComparison(code) {
-    const idx = this.selectedDepts.indexOf(code);
+    const selected = this.getSelection();
+    const idx = selected.indexOf(code);
     if (idx >= 0) {
-      this.selectedDepts.splice(idx, 1);
+      selected.splice(idx, 1);
       this.updateComparison();
     }
   },
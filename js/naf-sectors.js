@@ -0,0 +1,147 @@
+/**
+ * NAF Sectors
+ * INSEE NAF rév. 2 sections and divisions, used to group offer sectors hierarchically
+ * Offers carry a 2-digit division in sectorCode and a sub-class label in sector
+ */
+
+const NafSectors = {
+  // Sections with their division ranges (inclusive)
+  sections: [
+    { code: 'A', from: 1, to: 3, label: 'Agriculture, sylviculture et pêche' },
+    { code: 'B', from: 5, to: 9, label: 'Industries extractives' },
+    { code: 'C', from: 10, to: 33, label: 'Industrie manufacturière' },
+    { code: 'D', from: 35, to: 35, label: 'Production et distribution d\'électricité, de gaz, de vapeur et d\'air conditionné' },
+    { code: 'E', from: 36, to: 39, label: 'Eau, assainissement, gestion des déchets et dépollution' },
+    { code: 'F', from: 41, to: 43, label: 'Construction' },
+    { code: 'G', from: 45, to: 47, label: 'Commerce ; réparation d\'automobiles et de motocycles' },
+    { code: 'H', from: 49, to: 53, label: 'Transports et entreposage' },
+    { code: 'I', from: 55, to: 56, label: 'Hébergement et restauration' },
+    { code: 'J', from: 58, to: 63, label: 'Information et communication' },
+    { code: 'K', from: 64, to: 66, label: 'Activités financières et d\'assurance' },
+    { code: 'L', from: 68, to: 68, label: 'Activités immobilières' },
+    { code: 'M', from: 69, to: 75, label: 'Activités spécialisées, scientifiques et techniques' },
+    { code: 'N', from: 77, to: 82, label: 'Activités de services administratifs et de soutien' },
+    { code: 'O', from: 84, to: 84, label: 'Administration publique' },
+    { code: 'P', from: 85, to: 85, label: 'Enseignement' },
+    { code: 'Q', from: 86, to: 88, label: 'Santé humaine et action sociale' },
+    { code: 'R', from: 90, to: 93, label: 'Arts, spectacles et activités récréatives' },
+    { code: 'S', from: 94, to: 96, label: 'Autres activités de services' },
+    { code: 'T', from: 97, to: 98, label: 'Activités des ménages en tant qu\'employeurs' },
+    { code: 'U', from: 99, to: 99, label: 'Activités extra-territoriales' }
+  ],
+
+  // Division labels
+  divisions: {
+    '01': 'Culture et production animale, chasse',
+    '02': 'Sylviculture et exploitation forestière',
+    '03': 'Pêche et aquaculture',
+    '05': 'Extraction de houille et de lignite',
+    '06': 'Extraction d\'hydrocarbures',
+    '07': 'Extraction de minerais métalliques',
+    '08': 'Autres industries extractives',
+    '09': 'Services de soutien aux industries extractives',
+    '10': 'Industries alimentaires',
+    '11': 'Fabrication de boissons',
+    '12': 'Fabrication de produits à base de tabac',
+    '13': 'Fabrication de textiles',
+    '14': 'Industrie de l\'habillement',
+    '15': 'Industrie du cuir et de la chaussure',
+    '16': 'Travail du bois et fabrication d\'articles en bois',
+    '17': 'Industrie du papier et du carton',
+    '18': 'Imprimerie et reproduction d\'enregistrements',
+    '19': 'Cokéfaction et raffinage',
+    '20': 'Industrie chimique',
+    '21': 'Industrie pharmaceutique',
+    '22': 'Fabrication de produits en caoutchouc et en plastique',
+    '23': 'Fabrication d\'autres produits minéraux non métalliques',
+    '24': 'Métallurgie',
+    '25': 'Fabrication de produits métalliques',
+    '26': 'Fabrication de produits informatiques, électroniques et optiques',
+    '27': 'Fabrication d\'équipements électriques',
+    '28': 'Fabrication de machines et équipements n.c.a.',
+    '29': 'Industrie automobile',
+    '30': 'Fabrication d\'autres matériels de transport',
+    '31': 'Fabrication de meubles',
+    '32': 'Autres industries manufacturières',
+    '33': 'Réparation et installation de machines et d\'équipements',
+    '35': 'Production et distribution d\'électricité, de gaz, de vapeur et d\'air conditionné',
+    '36': 'Captage, traitement et distribution d\'eau',
+    '37': 'Collecte et traitement des eaux usées',
+    '38': 'Collecte, traitement et élimination des déchets ; récupération',
+    '39': 'Dépollution et autres services de gestion des déchets',
+    '41': 'Construction de bâtiments',
+    '42': 'Génie civil',
+    '43': 'Travaux de construction spécialisés',
+    '45': 'Commerce et réparation d\'automobiles et de motocycles',
+    '46': 'Commerce de gros',
+    '47': 'Commerce de détail',
+    '49': 'Transports terrestres et transport par conduites',
+    '50': 'Transports par eau',
+    '51': 'Transports aériens',
+    '52': 'Entreposage et services auxiliaires des transports',
+    '53': 'Activités de poste et de courrier',
+    '55': 'Hébergement',
+    '56': 'Restauration',
+    '58': 'Édition',
+    '59': 'Production audiovisuelle, enregistrement sonore et édition musicale',
+    '60': 'Programmation et diffusion',
+    '61': 'Télécommunications',
+    '62': 'Programmation, conseil et autres activités informatiques',
+    '63': 'Services d\'information',
+    '64': 'Activités des services financiers, hors assurance et caisses de retraite',
+    '65': 'Assurance',
+    '66': 'Activités auxiliaires de services financiers et d\'assurance',
+    '68': 'Activités immobilières',
+    '69': 'Activités juridiques et comptables',
+    '70': 'Activités des sièges sociaux ; conseil de gestion',
+    '71': 'Activités d\'architecture et d\'ingénierie ; contrôle et analyses techniques',
+    '72': 'Recherche-développement scientifique',
+    '73': 'Publicité et études de marché',
+    '74': 'Autres activités spécialisées, scientifiques et techniques',
+    '75': 'Activités vétérinaires',
+    '77': 'Activités de location et location-bail',
+    '78': 'Activités liées à l\'emploi',
+    '79': 'Agences de voyage, voyagistes, services de réservation',
+    '80': 'Enquêtes et sécurité',
+    '81': 'Services relatifs aux bâtiments et aménagement paysager',
+    '82': 'Activités administratives et autres activités de soutien aux entreprises',
+    '84': 'Administration publique et défense ; sécurité sociale obligatoire',
+    '85': 'Enseignement',
+    '86': 'Activités pour la santé humaine',
+    '87': 'Hébergement médico-social et social',
+    '88': 'Action sociale sans hébergement',
+    '90': 'Activités créatives, artistiques et de spectacle',
+    '91': 'Bibliothèques, archives, musées et autres activités culturelles',
+    '92': 'Organisation de jeux de hasard et d\'argent',
+    '93': 'Activités sportives, récréatives et de loisirs',
+    '94': 'Activités des organisations associatives',
+    '95': 'Réparation d\'ordinateurs et de biens personnels et domestiques',
+    '96': 'Autres services personnels',
+    '97': 'Activités des ménages en tant qu\'employeurs de personnel domestique',
+    '98': 'Activités indifférenciées des ménages pour usage propre',
+    '99': 'Activités des organisations et organismes extraterritoriaux'
+  },
+
+  /**
+   * Get the section a division belongs to
+   * @param {string} divisionCode - 2-digit NAF division (offer.sectorCode)
+   * @returns {object|null} Section { code, label } or null if unknown
+   */
+  getSection(divisionCode) {
+    const division = parseInt(divisionCode, 10);
+    if (isNaN(division)) return null;
+    return this.sections.find(s => division >= s.from && division <= s.to) || null;
+  },
+
+  /**
+   * Get the label of a division
+   * @param {string} divisionCode - 2-digit NAF division
+   * @returns {string} Division label (falls back to the code)
+   */
+  getDivisionLabel(divisionCode) {
+    return this.divisions[divisionCode] || `Division ${divisionCode}`;
+  }
+};
+
+// Export for use in other modules
+window.NafSectors = NafSectors;
@@ -201,6 +201,43 @@ const OffersModal = {
     }, 150);
   },
 
+  /**
+   * How an offer's net salary was derived from its gross salary
+   * @param {object} offer - Offer
+   * @returns {string} e.g. "Net estimé à 80 % du brut : Public contractuel (mot-clé « mairie », contrat CDD - 6 Mois)"
+   */
+  getNetAssumption(offer) {
+    const { status, reason } = EmploymentStatus.infer(offer);
+    const percent = Math.round(SalaryUtils.getNetRate(status) * 100);
+    return `Net estimé à ${percent} % du brut : ${EmploymentStatus.getLabel(status)} (${reason})`;
+  },
+
+  /**
+   * Why an offer is in its family, according to the classification rules
+   * @param {object} offer - Offer
+   * @returns {string} HTML of a collapsible explanation, flagged when the rules propose another family than the published one
+   */
+  renderFamilyExplanation(offer) {
+    const classification = JobClassifier.classify(offer);
+    // No rule matched: nothing to compare with the published family
+    const disagrees = classification.family !== null && classification.family !== offer.jobFamily;
+    const summary = disagrees ? `Pourquoi ? (règles : ${classification.family})` : 'Pourquoi ?';
+    let detail = `Règles de classement : ${JobClassifier.describe(classification)}`;
+    if (!classification.family) {
+      detail = `Aucune règle reconnue. Famille « ${offer.jobFamily} » attribuée à la collecte.`;
+    } else if (disagrees) {
+      detail = `Famille « ${offer.jobFamily} » attribuée à la collecte. ` +
+        `Les règles de classement proposent : ${JobClassifier.describe(classification)}`;
+    }
+
+    return `
+      <details class="offer-family-why${disagrees ? ' is-disputed' : ''}">
+        <summary>${this.escapeHtml(summary)}</summary>
+        <p>${this.escapeHtml(detail)}</p>
+      </details>
+    `;
+  },
+
   /**
    * Render offer rows HTML
    * @param {Array} offers - Array of offer objects
@@ -210,9 +247,18 @@ const OffersModal = {
     const isMobile = this.isMobile();
 
     return offers.map(offer => {
-      const salary = offer.salaryNetMonthly
-        ? SalaryUtils.formatCurrency(offer.salaryNetMonthly) + '/mois'
+      // Gross annual range from salaryRaw, shown under the net monthly figure (or alone when that is missing)
+      const range = offer.salaryMin ? SalaryUtils.formatRange(offer.salaryMin, offer.salaryMax) : null;
+      // Public offers without a published salary get their grade's indicial band, labelled as an estimate
+      const estimate = PublicGrades.estimate(offer);
+      const estimated = estimate
+        ? `<span class="offer-salary-range offer-salary-estimate" title="${this.escapeHtml(PublicGrades.describe(estimate))}">` +
+          `≈ ${SalaryUtils.formatRange(estimate.min, estimate.max)} brut/an (estimation)</span>`
         : '-';
+      const salary = offer.salaryNetMonthly
+        ? `<span title="${this.escapeHtml(this.getNetAssumption(offer))}">${SalaryUtils.formatCurrency(offer.salaryNetMonthly)}/mois</span>` +
+          (range ? `<span class="offer-salary-range">${range} brut/an</span>` : '')
+        : (range ? `<span class="offer-salary-range">${range} brut/an</span>` : estimated);
 
       const company = offer.company || '-';
 
@@ -237,6 +283,7 @@ const OffersModal = {
         <tr>
           <td class="offer-title">
             ${titleContent}
+            ${this.renderFamilyExplanation(offer)}
           </td>
           <td>${this.escapeHtml(company)}</td>
           <td>${location}</td>
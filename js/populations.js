@@ -0,0 +1,66 @@
+/**
+ * Populations
+ * Department populations (INSEE municipal population, legal populations 2021, rounded to the thousand)
+ * Used to normalise offer counts on the map
+ */
+
+const Populations = {
+  byDepartment: {
+    '01': 658000, '02': 527000, '03': 336000, '04': 167000, '05': 141000,
+    '06': 1104000, '07': 329000, '08': 269000, '09': 155000, '10': 310000,
+    '11': 378000, '12': 279000, '13': 2048000, '14': 698000, '15': 144000,
+    '16': 352000, '17': 658000, '18': 298000, '19': 240000, '2A': 161000,
+    '2B': 182000, '21': 536000, '22': 604000, '23': 116000, '24': 413000,
+    '25': 545000, '26': 522000, '27': 602000, '28': 432000, '29': 919000,
+    '30': 752000, '31': 1434000, '32': 192000, '33': 1655000, '34': 1218000,
+    '35': 1111000, '36': 217000, '37': 613000, '38': 1276000, '39': 259000,
+    '40': 421000, '41': 328000, '42': 768000, '43': 228000, '44': 1459000,
+    '45': 683000, '46': 174000, '47': 330000, '48': 77000, '49': 821000,
+    '50': 492000, '51': 564000, '52': 169000, '53': 306000, '54': 730000,
+    '55': 182000, '56': 767000, '57': 1047000, '58': 201000, '59': 2611000,
+    '60': 831000, '61': 276000, '62': 1464000, '63': 664000, '64': 687000,
+    '65': 229000, '66': 483000, '67': 1153000, '68': 767000, '69': 1883000,
+    '70': 233000, '71': 550000, '72': 564000, '73': 440000, '74': 841000,
+    '75': 2133000, '76': 1256000, '77': 1437000, '78': 1451000, '79': 376000,
+    '80': 569000, '81': 390000, '82': 263000, '83': 1101000, '84': 564000,
+    '85': 692000, '86': 438000, '87': 372000, '88': 362000, '89': 336000,
+    '90': 141000, '91': 1306000, '92': 1624000, '93': 1655000, '94': 1407000,
+    '95': 1250000, '971': 384000, '972': 361000, '973': 287000, '974': 871000,
+    '976': 257000
+  },
+
+  // Sum of all departments, computed on first use
+  totalPopulation: null,
+
+  /**
+   * Get a department's population
+   * @param {string} code - Department code
+   * @returns {number|null} Inhabitants or null if unknown
+   */
+  get(code) {
+    return this.byDepartment[code] || null;
+  },
+
+  /**
+   * Population of a group of departments (e.g. a region)
+   * @param {Array<string>} codes - Department codes
+   * @returns {number} Inhabitants (unknown departments count as 0)
+   */
+  sum(codes) {
+    return codes.reduce((total, code) => total + (this.byDepartment[code] || 0), 0);
+  },
+
+  /**
+   * National population (metropolitan France and DROM)
+   * @returns {number} Inhabitants
+   */
+  total() {
+    if (this.totalPopulation === null) {
+      this.totalPopulation = this.sum(Object.keys(this.byDepartment));
+    }
+    return this.totalPopulation;
+  }
+};
+
+// Export for use in other modules
+window.Populations = Populations;
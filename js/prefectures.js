@@ -0,0 +1,126 @@
+/**
+ * Prefectures
+ * Department prefectures with approximate town-centre coordinates, used as radius search centres
+ */
+
+const Prefectures = {
+  // [department code, prefecture, lat, lng]
+  list: [
+    ['01', 'Bourg-en-Bresse', 46.205, 5.226],
+    ['02', 'Laon', 49.564, 3.620],
+    ['03', 'Moulins', 46.566, 3.333],
+    ['04', 'Digne-les-Bains', 44.092, 6.236],
+    ['05', 'Gap', 44.559, 6.079],
+    ['06', 'Nice', 43.710, 7.262],
+    ['07', 'Privas', 44.735, 4.599],
+    ['08', 'Charleville-Mézières', 49.773, 4.721],
+    ['09', 'Foix', 42.965, 1.607],
+    ['10', 'Troyes', 48.297, 4.074],
+    ['11', 'Carcassonne', 43.213, 2.351],
+    ['12', 'Rodez', 44.350, 2.575],
+    ['13', 'Marseille', 43.296, 5.370],
+    ['14', 'Caen', 49.183, -0.371],
+    ['15', 'Aurillac', 44.926, 2.440],
+    ['16', 'Angoulême', 45.649, 0.156],
+    ['17', 'La Rochelle', 46.160, -1.151],
+    ['18', 'Bourges', 47.081, 2.399],
+    ['19', 'Tulle', 45.267, 1.771],
+    ['2A', 'Ajaccio', 41.919, 8.739],
+    ['2B', 'Bastia', 42.697, 9.451],
+    ['21', 'Dijon', 47.322, 5.041],
+    ['22', 'Saint-Brieuc', 48.514, -2.765],
+    ['23', 'Guéret', 46.171, 1.871],
+    ['24', 'Périgueux', 45.184, 0.721],
+    ['25', 'Besançon', 47.238, 6.024],
+    ['26', 'Valence', 44.933, 4.892],
+    ['27', 'Évreux', 49.024, 1.151],
+    ['28', 'Chartres', 48.446, 1.489],
+    ['29', 'Quimper', 47.996, -4.102],
+    ['30', 'Nîmes', 43.837, 4.360],
+    ['31', 'Toulouse', 43.605, 1.444],
+    ['32', 'Auch', 43.646, 0.586],
+    ['33', 'Bordeaux', 44.838, -0.579],
+    ['34', 'Montpellier', 43.611, 3.877],
+    ['35', 'Rennes', 48.111, -1.680],
+    ['36', 'Châteauroux', 46.811, 1.686],
+    ['37', 'Tours', 47.394, 0.685],
+    ['38', 'Grenoble', 45.188, 5.724],
+    ['39', 'Lons-le-Saunier', 46.675, 5.555],
+    ['40', 'Mont-de-Marsan', 43.890, -0.500],
+    ['41', 'Blois', 47.586, 1.335],
+    ['42', 'Saint-Étienne', 45.440, 4.387],
+    ['43', 'Le Puy-en-Velay', 45.043, 3.885],
+    ['44', 'Nantes', 47.218, -1.554],
+    ['45', 'Orléans', 47.903, 1.909],
+    ['46', 'Cahors', 44.448, 1.441],
+    ['47', 'Agen', 44.203, 0.616],
+    ['48', 'Mende', 44.518, 3.501],
+    ['49', 'Angers', 47.478, -0.563],
+    ['50', 'Saint-Lô', 49.116, -1.091],
+    ['51', 'Châlons-en-Champagne', 48.957, 4.365],
+    ['52', 'Chaumont', 48.111, 5.139],
+    ['53', 'Laval', 48.073, -0.770],
+    ['54', 'Nancy', 48.692, 6.184],
+    ['55', 'Bar-le-Duc', 48.772, 5.160],
+    ['56', 'Vannes', 47.658, -2.760],
+    ['57', 'Metz', 49.120, 6.176],
+    ['58', 'Nevers', 46.990, 3.159],
+    ['59', 'Lille', 50.629, 3.057],
+    ['60', 'Beauvais', 49.430, 2.081],
+    ['61', 'Alençon', 48.432, 0.091],
+    ['62', 'Arras', 50.291, 2.778],
+    ['63', 'Clermont-Ferrand', 45.778, 3.087],
+    ['64', 'Pau', 43.295, -0.371],
+    ['65', 'Tarbes', 43.233, 0.078],
+    ['66', 'Perpignan', 42.699, 2.895],
+    ['67', 'Strasbourg', 48.573, 7.752],
+    ['68', 'Colmar', 48.079, 7.358],
+    ['69', 'Lyon', 45.764, 4.836],
+    ['70', 'Vesoul', 47.622, 6.155],
+    ['71', 'Mâcon', 46.307, 4.829],
+    ['72', 'Le Mans', 48.006, 0.199],
+    ['73', 'Chambéry', 45.564, 5.918],
+    ['74', 'Annecy', 45.899, 6.129],
+    ['75', 'Paris', 48.857, 2.352],
+    ['76', 'Rouen', 49.443, 1.100],
+    ['77', 'Melun', 48.540, 2.660],
+    ['78', 'Versailles', 48.805, 2.130],
+    ['79', 'Niort', 46.323, -0.459],
+    ['80', 'Amiens', 49.894, 2.296],
+    ['81', 'Albi', 43.929, 2.148],
+    ['82', 'Montauban', 44.018, 1.355],
+    ['83', 'Toulon', 43.124, 5.928],
+    ['84', 'Avignon', 43.949, 4.806],
+    ['85', 'La Roche-sur-Yon', 46.670, -1.426],
+    ['86', 'Poitiers', 46.580, 0.340],
+    ['87', 'Limoges', 45.834, 1.262],
+    ['88', 'Épinal', 48.173, 6.450],
+    ['89', 'Auxerre', 47.799, 3.567],
+    ['90', 'Belfort', 47.640, 6.863],
+    ['91', 'Évry-Courcouronnes', 48.629, 2.441],
+    ['92', 'Nanterre', 48.892, 2.207],
+    ['93', 'Bobigny', 48.908, 2.440],
+    ['94', 'Créteil', 48.790, 2.455],
+    ['95', 'Cergy', 49.036, 2.063],
+    ['971', 'Basse-Terre', 15.998, -61.726],
+    ['972', 'Fort-de-France', 14.616, -61.059],
+    ['973', 'Cayenne', 4.938, -52.326],
+    ['974', 'Saint-Denis', -20.882, 55.451],
+    ['976', 'Mamoudzou', -12.781, 45.228]
+  ],
+
+  /**
+   * Get a department's prefecture
+   * @param {string} code - Department code
+   * @returns {object|null} { code, name, lat, lng } or null if unknown
+   */
+  get(code) {
+    const entry = this.list.find(p => p[0] === code);
+    if (!entry) return null;
+    const [, name, lat, lng] = entry;
+    return { code, name, lat, lng };
+  }
+};
+
+// Export for use in other modules
+window.Prefectures = Prefectures;
@@ -0,0 +1,174 @@
+/**
+ * Public Grades
+ * Detects fonction publique grades (adjoint du patrimoine, assistant de conservation, bibliothécaire…)
+ * and categories (A/B/C) in offer titles, and maps them to salary bands of the indicial grid
+ * Used to estimate a salary for public offers that publish none: base pay only, bonuses excluded
+ */
+
+const PublicGrades = {
+  // Valeur annuelle du point d'indice divided by 12, in euros (since 1 July 2023)
+  POINT_VALUE: 4.92278,
+  LABEL: 'Estimation grille indiciaire',
+
+  // Indice majoré from the first step of the grade to the last step of its highest class (2024 grids)
+  // Patterns run on normalized titles (see DataProcessor.normalizeText)
+  GRADES: [
+    {
+      key: 'conservateur',
+      label: 'Conservateur du patrimoine / des bibliothèques',
+      category: 'A',
+      pattern: /\bconservat(eur|rice) (en chef )?(territorial(e)? )?(du patrimoine|des bibliotheques)/,
+      indices: { min: 452, max: 972 }
+    },
+    {
+      key: 'attache',
+      label: 'Attaché de conservation du patrimoine',
+      category: 'A',
+      pattern: /\battache(e)? (territorial(e)? )?de conservation/,
+      indices: { min: 390, max: 821 }
+    },
+    {
+      key: 'chargeEtudes',
+      label: 'Chargé d\'études documentaires',
+      category: 'A',
+      pattern: /\bcharge(e)? (chargee )?d etudes documentaires/,
+      indices: { min: 390, max: 821 }
+    },
+    {
+      key: 'professeurDocumentaliste',
+      label: 'Professeur documentaliste (certifié)',
+      category: 'A',
+      pattern: /\bprofesseur(e)? (professeure )?documentaliste/,
+      indices: { min: 390, max: 821 }
+    },
+    {
+      key: 'bibliothecaire',
+      label: 'Bibliothécaire territorial',
+      category: 'A',
+      pattern: /\bbibliothecaire\b/,
+      indices: { min: 390, max: 673 },
+      // Also a job title in private and associative libraries
+      publicOnly: true
+    },
+    {
+      key: 'assistantConservation',
+      label: 'Assistant de conservation du patrimoine et des bibliothèques',
+      category: 'B',
+      pattern: /\bassistant(e)? (territorial(e)? )?de conservation/,
+      indices: { min: 366, max: 534 }
+    },
+    {
+      key: 'adjointPatrimoine',
+      label: 'Adjoint du patrimoine',
+      category: 'C',
+      pattern: /\badjoint(e)? (territorial(e)? )?du patrimoine/,
+      indices: { min: 366, max: 473 }
+    },
+    {
+      key: 'magasinier',
+      label: 'Magasinier des bibliothèques',
+      category: 'C',
+      pattern: /\bmagasinier(e)? des bibliotheques/,
+      indices: { min: 366, max: 473 }
+    }
+  ],
+
+  // Whole category when the title gives no grade, e.g. "Archiviste (catégorie B)"
+  CATEGORIES: {
+    A: { min: 390, max: 821 },
+    B: { min: 366, max: 534 },
+    C: { min: 366, max: 473 }
+  },
+  CATEGORY_PATTERN: /\b(?:categorie|cat) ([abc])\b/,
+
+  // Offer -> estimate, memoized
+  cache: new WeakMap(),
+
+  /**
+   * Gross annual base pay of an indice majoré
+   * @param {number} index - Indice majoré
+   * @returns {number} Euros per year
+   */
+  toAnnual(index) {
+    return Math.round(index * this.POINT_VALUE * 12);
+  },
+
+  /**
+   * Detect the grade (or failing that the category) of a title
+   * @param {object} offer - Offer
+   * @returns {object|null} { key, label, category, indices } or null
+   */
+  detect(offer) {
+    const title = DataProcessor.normalizeText(offer.title);
+
+    const grade = this.GRADES.find(g => g.pattern.test(title));
+    if (grade && !(grade.publicOnly && !EmploymentStatus.infer(offer).status.startsWith('public'))) {
+      return grade;
+    }
+
+    const match = this.CATEGORY_PATTERN.exec(title);
+    if (match) {
+      const category = match[1].toUpperCase();
+      return { key: `category${category}`, label: `Catégorie ${category}`, category, indices: this.CATEGORIES[category] };
+    }
+    return null;
+  },
+
+  /**
+   * Estimated gross annual salary band of an offer that publishes no salary
+   * @param {object} offer - Offer
+   * @returns {object|null} { key, label, category, min, max } or null (salary or range published, or no grade detected)
+   */
+  estimate(offer) {
+    if (offer.salaryGrossAnnual || offer.salaryMin) return null;
+    if (this.cache.has(offer)) return this.cache.get(offer);
+
+    const grade = this.detect(offer);
+    const result = grade ? {
+      key: grade.key,
+      label: grade.label,
+      category: grade.category,
+      min: this.toAnnual(grade.indices.min),
+      max: this.toAnnual(grade.indices.max)
+    } : null;
+
+    this.cache.set(offer, result);
+    return result;
+  },
+
+  /**
+   * Group the estimated offers by grade
+   * @param {array} offers - Offers
+   * @returns {Array<object>} { key, label, category, min, max, count, statuses }, category A first
+   */
+  summarize(offers) {
+    const byGrade = new Map();
+    offers.forEach(offer => {
+      const estimate = this.estimate(offer);
+      if (!estimate) return;
+
+      if (!byGrade.has(estimate.key)) {
+        byGrade.set(estimate.key, { ...estimate, count: 0, statuses: {} });
+      }
+      const row = byGrade.get(estimate.key);
+      row.count++;
+      row.statuses[offer.employmentStatus] = (row.statuses[offer.employmentStatus] || 0) + 1;
+    });
+
+    return Array.from(byGrade.values())
+      .sort((a, b) => a.category.localeCompare(b.category) || b.count - a.count);
+  },
+
+  /**
+   * Explain where an estimate comes from, for tooltips and notes
+   * @param {object} estimate - Result of estimate()
+   * @returns {string} French description
+   */
+  describe(estimate) {
+    return `${this.LABEL} : ${estimate.label} (catégorie ${estimate.category}), ` +
+      'traitement indiciaire brut hors primes, du premier au dernier échelon';
+  }
+};
+
+// Export
+window.PublicGrades = PublicGrades;
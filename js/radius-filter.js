@@ -0,0 +1,167 @@
+/**
+ * Radius Filter Component
+ * "Within N km of…" filter centred on a department prefecture or a point picked on the map
+ */
+
+const RadiusFilter = {
+  DEFAULT_KM: 30,
+
+  // Sidebar root and its change handler: map picks always apply through the sidebar
+  sidebarRoot: null,
+  onSidebarChange: null,
+
+  /**
+   * Initialize the sidebar radius filter
+   * @param {HTMLElement} root - The .radius-filter element
+   * @param {function} onChange - Called with the new radius when the user commits a change
+   */
+  init(root, onChange) {
+    this.sidebarRoot = root;
+    this.onSidebarChange = onChange;
+    this.setupRoot(root, onChange);
+  },
+
+  /**
+   * Wire controls on a filter root (sidebar or bottom sheet clone)
+   * @param {HTMLElement} root - The .radius-filter element
+   * @param {function} onChange - Called with the new radius when the user commits a change
+   */
+  setupRoot(root, onChange) {
+    if (!root) return;
+
+    const select = root.querySelector('.radius-filter-center');
+    const kmInput = root.querySelector('.radius-filter-km');
+    if (!select || !kmInput) return;
+
+    if (select.options.length <= 1) {
+      select.innerHTML = `
+        <option value="">Choisir une préfecture…</option>
+        <option value="point" hidden>Point choisi sur la carte</option>
+        ${Prefectures.list.map(([code, name]) => `<option value="${code}">${name} (${code})</option>`).join('')}
+      `;
+    }
+
+    select.addEventListener('change', () => onChange(this.read(root)));
+
+    kmInput.addEventListener('input', () => this.renderDistance(root));
+    kmInput.addEventListener('change', () => {
+      if (select.value) onChange(this.read(root));
+    });
+
+    root.querySelector('.radius-filter-pick')?.addEventListener('click', () => this.pickOnMap());
+
+    root.querySelector('.radius-filter-clear')?.addEventListener('click', () => {
+      this.setValue(root, null);
+      onChange(null);
+    });
+
+    this.renderDistance(root);
+  },
+
+  /**
+   * Read the radius currently shown on a filter root
+   * @param {HTMLElement} root - The .radius-filter element
+   * @returns {object|null} { lat, lng, km, dept } or null when no centre is chosen
+   */
+  read(root) {
+    const select = root?.querySelector('.radius-filter-center');
+    if (!select || !select.value) return null;
+
+    const km = Number(root.querySelector('.radius-filter-km').value);
+
+    if (select.value === 'point') {
+      return { lat: Number(root.dataset.lat), lng: Number(root.dataset.lng), km, dept: null };
+    }
+
+    const prefecture = Prefectures.get(select.value);
+    if (!prefecture) return null;
+    return { lat: prefecture.lat, lng: prefecture.lng, km, dept: prefecture.code };
+  },
+
+  /**
+   * Show a radius on a filter root
+   * @param {HTMLElement} root - The .radius-filter element
+   * @param {object|null} radius - { lat, lng, km, dept } or null to clear
+   */
+  setValue(root, radius) {
+    const select = root?.querySelector('.radius-filter-center');
+    if (!select) return;
+
+    const pointOption = select.querySelector('option[value="point"]');
+
+    if (!radius) {
+      select.value = '';
+      delete root.dataset.lat;
+      delete root.dataset.lng;
+      if (pointOption) pointOption.hidden = true;
+    } else if (radius.dept) {
+      select.value = radius.dept;
+    } else {
+      root.dataset.lat = radius.lat;
+      root.dataset.lng = radius.lng;
+      if (pointOption) {
+        pointOption.hidden = false;
+        pointOption.textContent = `Point sur la carte (${this.formatCoords(radius)})`;
+      }
+      select.value = 'point';
+    }
+
+    root.querySelector('.radius-filter-km').value = radius?.km ?? this.DEFAULT_KM;
+    this.renderDistance(root);
+  },
+
+  /**
+   * Update the distance label next to the slider
+   * @param {HTMLElement} root - The .radius-filter element
+   */
+  renderDistance(root) {
+    const label = root.querySelector('.radius-filter-km-label');
+    if (label) label.textContent = `${root.querySelector('.radius-filter-km').value} km`;
+  },
+
+  /**
+   * Switch to the map and let the user click the centre of the search
+   */
+  pickOnMap() {
+    if (window.BottomSheet && BottomSheet.isOpen()) {
+      BottomSheet.close();
+    }
+
+    document.querySelector('.tab-btn[data-tab="map"]')?.click();
+
+    FranceMap.startPick(({ lat, lng }) => {
+      const current = this.read(this.sidebarRoot);
+      const radius = {
+        lat: Math.round(lat * 1000) / 1000,
+        lng: Math.round(lng * 1000) / 1000,
+        km: current?.km ?? Number(this.sidebarRoot.querySelector('.radius-filter-km').value),
+        dept: null
+      };
+      this.setValue(this.sidebarRoot, radius);
+      this.onSidebarChange(radius);
+    });
+  },
+
+  /**
+   * Human-readable centre of a radius
+   * @param {object} radius - { lat, lng, km, dept }
+   * @returns {string} Prefecture name or coordinates
+   */
+  describe(radius) {
+    const prefecture = radius.dept ? Prefectures.get(radius.dept) : null;
+    return prefecture ? prefecture.name : this.formatCoords(radius);
+  },
+
+  /**
+   * Format coordinates for display
+   * @param {object} point - { lat, lng }
+   * @returns {string} e.g. "45,764° N, 4,836° E"
+   */
+  formatCoords({ lat, lng }) {
+    const fmt = v => Math.abs(v).toLocaleString('fr-FR', { maximumFractionDigits: 3 });
+    return `${fmt(lat)}° ${lat >= 0 ? 'N' : 'S'}, ${fmt(lng)}° ${lng >= 0 ? 'E' : 'O'}`;
+  }
+};
+
+// Export
+window.RadiusFilter = RadiusFilter;
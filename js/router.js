@@ -12,6 +12,7 @@ const Router = (function () {
       '/': 'overview',
       '/salaires': 'salaries',
       '/carte': 'map',
+      '/comparer': 'compare',
       '/secteurs': 'sectors',
       '/dossier': 'dossier'
     },
@@ -19,14 +20,32 @@ const Router = (function () {
       'overview': '/',
       'salaries': '/salaires',
       'map': '/carte',
+      'compare': '/comparer',
       'sectors': '/secteurs',
       'dossier': '/dossier'
     },
     params: {
       jobFamilies: 'famille',
       contractTypes: 'contrat',
-      departments: 'dept'
-    }
+      departments: 'dept',
+      regions: 'region',
+      dateFrom: 'debut',
+      dateTo: 'fin',
+      search: 'q',
+      salary: 'salaire',
+      salaryUnknown: 'nc',
+      experienceLevels: 'experience',
+      qualifications: 'qualification',
+      sectors: 'secteur',
+      radiusCenter: 'centre',
+      radiusKm: 'rayon',
+      showFlaggedSalaries: 'signales'
+    },
+    // Compare mode: vs=1 turns it on and selection B's filters use the same names with this prefix
+    compareFlag: 'vs',
+    comparePrefix: 'vs_',
+    // Departments of the comparison tab, kept apart from the department filter
+    compareDepartments: 'comparaison'
   };
 
   let isInitialized = false;
@@ -119,14 +138,82 @@ const Router = (function () {
     // Get tab from route
     const tab = config.routes[routePath] || config.defaultTab;
 
-    // Parse query parameters
-    const filters = {
-      jobFamilies: parseArrayParam(params.get(config.params.jobFamilies)),
-      contractTypes: parseArrayParam(params.get(config.params.contractTypes)),
-      departments: parseArrayParam(params.get(config.params.departments))
+    const filters = parseFilterParams(params);
+    const compareFilters = params.get(config.compareFlag) === '1'
+      ? parseFilterParams(params, config.comparePrefix)
+      : null;
+
+    const compareDepartments = parseArrayParam(params.get(config.compareDepartments));
+
+    return { tab, filters, compareFilters, compareDepartments };
+  }
+
+  /**
+   * Parse the filter parameters of one selection
+   * @param {URLSearchParams} params - Query parameters
+   * @param {string} prefix - Parameter name prefix ('' for selection A)
+   */
+  function parseFilterParams(params, prefix = '') {
+    const get = name => params.get(prefix + config.params[name]);
+
+    return {
+      jobFamilies: parseArrayParam(get('jobFamilies')),
+      contractTypes: parseArrayParam(get('contractTypes')),
+      departments: parseArrayParam(get('departments')),
+      regions: parseArrayParam(get('regions')),
+      dateRange: parseDateRangeParams(get('dateFrom'), get('dateTo')),
+      search: (get('search') || '').trim(),
+      salaryRange: parseSalaryParams(get('salary'), get('salaryUnknown')),
+      experienceLevels: parseArrayParam(get('experienceLevels')),
+      qualifications: parseArrayParam(get('qualifications')),
+      sectors: parseArrayParam(get('sectors')),
+      radius: parseRadiusParams(get('radiusCenter'), get('radiusKm')),
+      showFlaggedSalaries: get('showFlaggedSalaries') === '1'
+    };
+  }
+
+  /**
+   * Parse debut/fin parameters into a date range (null if neither is valid)
+   */
+  function parseDateRangeParams(from, to) {
+    const isISODate = v => /^\d{4}-\d{2}-\d{2}$/.test(v || '');
+    const range = {
+      from: isISODate(from) ? from : null,
+      to: isISODate(to) ? to : null
+    };
+    return range.from || range.to ? range : null;
+  }
+
+  /**
+   * Parse salaire=min-max (either side optional) and nc=1 into a salary range
+   */
+  function parseSalaryParams(value, unknown) {
+    const match = /^(\d*)-(\d*)$/.exec(value || '');
+    if (!match || (!match[1] && !match[2])) return null;
+    return {
+      min: match[1] ? Number(match[1]) : null,
+      max: match[2] ? Number(match[2]) : null,
+      includeUnknown: unknown === '1'
     };
+  }
+
+  /**
+   * Parse centre=<department code | lat,lng> and rayon=<km> into a radius
+   */
+  function parseRadiusParams(center, km) {
+    if (!center) return null;
+
+    const distance = Number(km);
+    const radius = { km: distance > 0 && distance <= 500 ? distance : 30 };
 
-    return { tab, filters };
+    const point = /^(-?\d+(?:\.\d+)?),(-?\d+(?:\.\d+)?)$/.exec(center);
+    if (point) {
+      return { ...radius, lat: Number(point[1]), lng: Number(point[2]), dept: null };
+    }
+
+    const prefecture = window.Prefectures?.get(center);
+    if (!prefecture) return null;
+    return { ...radius, lat: prefecture.lat, lng: prefecture.lng, dept: prefecture.code };
   }
 
   /**
@@ -149,26 +236,104 @@ const Router = (function () {
 
   /**
    * Build URL from state
+   * @param {string} tab - Tab id
+   * @param {object} filters - Selection A's filters
+   * @param {object|null} compareFilters - Selection B's filters, or null when not comparing
+   * @param {Array<string>} compareDepartments - Departments of the comparison tab (only kept on that tab)
    */
-  function buildURL(tab, filters) {
+  function buildURL(tab, filters, compareFilters = null, compareDepartments = []) {
     const path = config.tabToPath[tab] || '/';
     const fullPath = config.basePath + path;
 
     // Build query string
     const params = new URLSearchParams();
+    appendFilterParams(params, filters);
+
+    if (compareFilters) {
+      params.set(config.compareFlag, '1');
+      appendFilterParams(params, compareFilters, config.comparePrefix);
+    }
+
+    if (tab === 'compare' && compareDepartments.length) {
+      params.set(config.compareDepartments, encodeArrayParam(compareDepartments));
+    }
+
+    const queryString = params.toString();
+    return fullPath + (queryString ? '?' + queryString : '');
+  }
+
+  /**
+   * Encode the filters of one selection as query parameters
+   * @param {URLSearchParams} params - Query parameters to add to
+   * @param {object} filters - Filter state
+   * @param {string} prefix - Parameter name prefix ('' for selection A)
+   */
+  function appendFilterParams(params, filters, prefix = '') {
+    const set = (name, value) => params.set(prefix + config.params[name], value);
 
     if (filters.jobFamilies?.length) {
-      params.set(config.params.jobFamilies, encodeArrayParam(filters.jobFamilies));
+      set('jobFamilies', encodeArrayParam(filters.jobFamilies));
     }
     if (filters.contractTypes?.length) {
-      params.set(config.params.contractTypes, encodeArrayParam(filters.contractTypes));
+      set('contractTypes', encodeArrayParam(filters.contractTypes));
     }
     if (filters.departments?.length) {
-      params.set(config.params.departments, encodeArrayParam(filters.departments));
+      set('departments', encodeArrayParam(filters.departments));
     }
+    if (filters.regions?.length) {
+      set('regions', encodeArrayParam(filters.regions));
+    }
+    if (filters.dateRange?.from) {
+      set('dateFrom', filters.dateRange.from);
+    }
+    if (filters.dateRange?.to) {
+      set('dateTo', filters.dateRange.to);
+    }
+    if (filters.search) {
+      set('search', filters.search);
+    }
+    if (filters.experienceLevels?.length) {
+      set('experienceLevels', encodeArrayParam(filters.experienceLevels));
+    }
+    if (filters.qualifications?.length) {
+      set('qualifications', encodeArrayParam(filters.qualifications));
+    }
+    if (filters.sectors?.length) {
+      set('sectors', encodeArrayParam(filters.sectors));
+    }
+    if (filters.radius) {
+      const { lat, lng, km, dept } = filters.radius;
+      set('radiusCenter', dept || `${lat},${lng}`);
+      set('radiusKm', km);
+    }
+    if (filters.salaryRange) {
+      const { min, max, includeUnknown } = filters.salaryRange;
+      set('salary', `${min ?? ''}-${max ?? ''}`);
+      if (includeUnknown) set('salaryUnknown', '1');
+    }
+    if (filters.showFlaggedSalaries) {
+      set('showFlaggedSalaries', '1');
+    }
+  }
 
-    const queryString = params.toString();
-    return fullPath + (queryString ? '?' + queryString : '');
+  /**
+   * Empty filter state, for when DataProcessor isn't available
+   */
+  function emptyFilters() {
+    return {
+      jobFamilies: [],
+      contractTypes: [],
+      departments: [],
+      regions: [],
+      dateRange: null,
+      search: '',
+      salaryRange: null,
+      experienceLevels: [],
+      qualifications: [],
+      sectors: [],
+      radius: null,
+      showFlaggedSalaries: false
+    };
   }
 
   /**
@@ -182,14 +347,16 @@ const Router = (function () {
     if (!filters && window.DataProcessor) {
       filters = DataProcessor.filters;
     }
-    filters = filters || { jobFamilies: [], contractTypes: [], departments: [] };
+    filters = filters || emptyFilters();
+    const compareFilters = window.DataProcessor?.compareFilters || null;
+    const compareDepartments = window.DepartmentComparison?.getDepartments() || [];
 
-    const url = buildURL(tab, filters);
+    const url = buildURL(tab, filters, compareFilters, compareDepartments);
 
     if (replace) {
-      history.replaceState({ tab, filters }, '', url);
+      history.replaceState({ tab, filters, compareFilters, compareDepartments }, '', url);
     } else {
-      history.pushState({ tab, filters }, '', url);
+      history.pushState({ tab, filters, compareFilters, compareDepartments }, '', url);
     }
 
     isNavigating = false;
@@ -202,6 +369,11 @@ const Router = (function () {
     if (isNavigating) return;
     isNavigating = true;
 
+    // Restore the compared departments before the comparison tab renders them
+    if (state.tab === 'compare' && window.DepartmentComparison) {
+      DepartmentComparison.setDepartments(state.compareDepartments || []);
+    }
+
     // Apply tab
     const tabBtn = document.querySelector(`.tab-btn[data-tab="${state.tab}"]`);
     if (tabBtn && !tabBtn.classList.contains('active')) {
@@ -210,18 +382,45 @@ const Router = (function () {
     }
 
     // Apply filters if they have values
-    const hasFilters = state.filters.jobFamilies.length > 0 ||
-      state.filters.contractTypes.length > 0 ||
-      state.filters.departments.length > 0;
-
-    if (hasFilters && window.DataProcessor) {
+    if (hasFilters(state.filters) && window.DataProcessor) {
       DataProcessor.applyFilters(state.filters);
       syncFiltersToUI(state.filters);
     }
 
+    // Turn compare mode on or off (states pushed before compare mode have no compareFilters)
+    if (window.DataProcessor) {
+      const compareFilters = state.compareFilters || null;
+      if (compareFilters) {
+        DataProcessor.enableCompare(compareFilters);
+      } else if (DataProcessor.isComparing()) {
+        DataProcessor.disableCompare();
+      }
+      if (window.App) {
+        App.setCompareTarget(compareFilters && App.compareTarget === 'B' ? 'B' : 'A');
+      }
+    }
+
     isNavigating = false;
   }
 
+  /**
+   * Whether a filter state has any active filter
+   */
+  function hasFilters(filters) {
+    return filters.jobFamilies.length > 0 ||
+      filters.contractTypes.length > 0 ||
+      filters.departments.length > 0 ||
+      filters.regions.length > 0 ||
+      !!filters.dateRange ||
+      !!filters.search ||
+      !!filters.salaryRange ||
+      filters.experienceLevels.length > 0 ||
+      filters.qualifications.length > 0 ||
+      filters.sectors.length > 0 ||
+      !!filters.radius ||
+      !!filters.showFlaggedSalaries;
+  }
+
   /**
    * Sync filter state to UI checkboxes
    */
@@ -242,6 +441,48 @@ const Router = (function () {
       });
     }
 
+    // Experience levels & qualifications
+    document.querySelectorAll('#filter-experience-dropdown .filter-experience-cb').forEach(cb => {
+      cb.checked = filters.experienceLevels.includes(cb.value);
+    });
+    document.querySelectorAll('#filter-qualification-dropdown .filter-qualification-cb').forEach(cb => {
+      cb.checked = filters.qualifications.includes(cb.value);
+    });
+    document.querySelectorAll('#filter-sector-dropdown .filter-sector-cb').forEach(cb => {
+      cb.checked = filters.sectors.includes(cb.value);
+    });
+    document.querySelectorAll('#filter-region-dropdown .filter-region-cb').forEach(cb => {
+      cb.checked = filters.regions.includes(cb.value);
+    });
+    if (window.App) {
+      App.selectedDepts = new Set(filters.departments);
+      App.refreshMultiSelects();
+    }
+
+    // Date range inputs
+    const dateFrom = document.getElementById('filter-date-from');
+    const dateTo = document.getElementById('filter-date-to');
+    if (dateFrom) dateFrom.value = filters.dateRange?.from || '';
+    if (dateTo) dateTo.value = filters.dateRange?.to || '';
+
+    // Search box
+    const search = document.getElementById('filter-search');
+    if (search) search.value = filters.search || '';
+
+    // Salary range slider
+    if (window.SalaryFilter) {
+      SalaryFilter.setRange(document.getElementById('filter-salary'), filters.salaryRange);
+    }
+
+    // Radius search
+    if (window.RadiusFilter) {
+      RadiusFilter.setValue(document.getElementById('filter-radius'), filters.radius);
+    }
+
+    // Flagged salaries toggle (data-quality panel)
+    const showFlagged = document.getElementById('filter-show-flagged');
+    if (showFlagged) showFlagged.checked = !!filters.showFlaggedSalaries;
+
     // Update bottom sheet if it exists
     if (window.BottomSheet && BottomSheet.syncWithSidebar) {
       BottomSheet.syncWithSidebar();
@@ -288,8 +529,10 @@ const Router = (function () {
    */
   function getShareableURL() {
     const currentTab = window.App?.currentTab || 'overview';
-    const filters = window.DataProcessor?.filters || { jobFamilies: [], contractTypes: [], departments: [] };
-    return window.location.origin + buildURL(currentTab, filters);
+    const filters = window.DataProcessor?.filters || emptyFilters();
+    const compareFilters = window.DataProcessor?.compareFilters || null;
+    const compareDepartments = window.DepartmentComparison?.getDepartments() || [];
+    return window.location.origin + buildURL(currentTab, filters, compareFilters, compareDepartments);
   }
 
   /**
@@ -312,6 +555,7 @@ const Router = (function () {
     navigate,
     parseCurrentURL,
     buildURL,
+    syncFiltersToUI,
     getShareableURL,
     setBasePath,
     getCurrentRoute
@@ -0,0 +1,406 @@
+/**
+ * Salary Distribution
+ * Box-and-whisker and violin/strip views of the salary charts (contract, family, experience, geography)
+ * Box thickness grows with the sample size and small samples are drawn dashed, so a median from
+ * 3 offers does not look as solid as one from 200
+ */
+
+const SalaryDistribution = {
+  IQR_FENCE: 1.5, // Tukey fences: values beyond Q1/Q3 -/+ 1.5 IQR are outliers
+
+  view: 'median', // 'median' (bar charts), 'box' or 'violin'
+
+  // The salary charts with a distribution view, and how their groups are built
+  charts: [
+    { canvas: 'chart-salary-contract', container: 'dist-salary-contract', dimension: () => 'byContractType', color: () => '#2563eb' },
+    { canvas: 'chart-salary-family', container: 'dist-salary-family', dimension: () => 'byJobFamily', color: key => JobClassifier.getColor(key) },
+    { canvas: 'chart-salary-experience', container: 'dist-salary-experience', dimension: () => 'byExperience', color: () => '#8b5cf6' },
+    {
+      canvas: 'chart-salary-dept',
+      container: 'dist-salary-dept',
+      dimension: () => Charts.salaryGeoLevel === 'region' ? 'byRegion' : 'byDepartment',
+      color: () => '#10b981'
+    }
+  ],
+
+  /**
+   * Initialize the view toggle
+   */
+  init() {
+    document.querySelectorAll('[data-salary-view]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        document.querySelectorAll('[data-salary-view]').forEach(b => b.classList.remove('active'));
+        btn.classList.add('active');
+        this.setView(btn.dataset.salaryView);
+      });
+    });
+  },
+
+  /**
+   * Switch between the median bars and the distribution views
+   * @param {string} view - 'median', 'box' or 'violin'
+   */
+  setView(view) {
+    this.view = view;
+    this.update();
+  },
+
+  /**
+   * Re-render the distribution views (or show the bar charts back)
+   */
+  update() {
+    const showBars = this.view === 'median';
+
+    this.charts.forEach(chart => {
+      const canvas = document.getElementById(chart.canvas);
+      const container = document.getElementById(chart.container);
+      if (!canvas || !container) return;
+
+      // The canvas sits in the scroll wrapper Charts sizes to its bars
+      canvas.parentNode.hidden = !showBars;
+      container.hidden = showBars;
+      container.innerHTML = '';
+      if (!showBars) this.render(container, this.getRows(chart));
+    });
+
+    this.renderNote();
+  },
+
+  /**
+   * Salary samples of each group of a chart, for selection A and (in compare mode) B
+   * @param {object} chart - Entry of this.charts
+   * Net values use the group's employment-status blend, as the median charts do
+   * @returns {Array<object>} { key, name, series: [{ label, color, values, stats, note }] }
+   */
+  getRows(chart) {
+    const dimension = chart.dimension();
+    const compareOffers = DataProcessor.getCompareOffers();
+    const selections = [
+      {
+        label: compareOffers ? 'A' : null,
+        groups: DataProcessor.groupSalaries(DataProcessor.getOffers(true), dimension),
+        stats: DataProcessor.getStats()
+      }
+    ];
+    if (compareOffers) {
+      selections.push({
+        label: 'B',
+        groups: DataProcessor.groupSalaries(compareOffers, dimension, DataProcessor.compareFilters.showFlaggedSalaries),
+        stats: DataProcessor.getCompareStats()
+      });
+    }
+
+    const keys = new Set(selections.flatMap(s => Array.from(s.groups.keys())));
+    const rows = Array.from(keys, key => ({
+      key,
+      name: this.getGroupName(dimension, key),
+      series: selections.map(s => {
+        const group = s.stats?.[dimension]?.[key];
+        const values = (s.groups.get(key) || [])
+          .map(v => Charts.convertSalary(v, group))
+          .sort((a, b) => a - b);
+        return {
+          label: s.label,
+          color: s.label ? Charts.COMPARE_COLORS[s.label] : chart.color(key),
+          values,
+          stats: values.length ? this.summarize(values) : null,
+          note: Charts.getNetNote(group)
+        };
+      })
+    }));
+
+    // Same order as the bar charts: natural order for experience, alphabetical otherwise
+    if (dimension === 'byExperience') {
+      const order = DataProcessor.EXPERIENCE_LEVELS;
+      return rows.sort((a, b) => order.indexOf(a.key) - order.indexOf(b.key));
+    }
+    return rows.sort((a, b) => a.name.localeCompare(b.name, 'fr', { sensitivity: 'base' }));
+  },
+
+  /**
+   * Display name of a group
+   * @param {string} dimension - Statistics dimension
+   * @param {string} key - Group key
+   * @returns {string}
+   */
+  getGroupName(dimension, key) {
+    if (dimension === 'byDepartment') {
+      return `${DataProcessor.getData().departments[key] || key} (${key})`;
+    }
+    if (dimension === 'byRegion') {
+      return Regions.get(key)?.name || key;
+    }
+    return key;
+  },
+
+  /**
+   * Box plot statistics with Tukey fences
+   * @param {number[]} values - Salaries, sorted ascending
+   * @returns {object} SalaryUtils.calculateStats fields plus whiskerLow, whiskerHigh and outliers
+   */
+  summarize(values) {
+    const stats = SalaryUtils.calculateStats([...values]);
+    const fence = (stats.q3 - stats.q1) * this.IQR_FENCE;
+    const low = stats.q1 - fence;
+    const high = stats.q3 + fence;
+    const inside = values.filter(v => v >= low && v <= high);
+
+    return {
+      ...stats,
+      whiskerLow: inside[0],
+      whiskerHigh: inside[inside.length - 1],
+      outliers: values.filter(v => v < low || v > high)
+    };
+  },
+
+  /**
+   * Kernel density estimate (Gaussian kernel, Silverman's rule of thumb bandwidth)
+   * @param {number[]} values - Salaries, sorted ascending
+   * @param {object} stats - Result of summarize()
+   * @returns {Array<Array<number>>} [salary, density] from the smallest to the largest value
+   */
+  density(values, stats) {
+    const spread = Math.min(d3.deviation(values) || 0, (stats.q3 - stats.q1) / 1.34) ||
+      d3.deviation(values) || stats.median * 0.05 || 1;
+    const bandwidth = 0.9 * spread * Math.pow(values.length, -0.2);
+    const steps = 40;
+
+    return d3.range(steps + 1).map(i => {
+      const x = stats.min + (stats.max - stats.min) * i / steps;
+      const sum = d3.sum(values, v => Math.exp(-0.5 * ((x - v) / bandwidth) ** 2));
+      return [x, sum / (values.length * bandwidth * Math.sqrt(2 * Math.PI))];
+    });
+  },
+
+  /**
+   * Draw one distribution chart: one row per group, one band per selection
+   * @param {HTMLElement} container - Chart container
+   * @param {Array<object>} rows - Result of getRows()
+   */
+  render(container, rows) {
+    const series = rows.flatMap(row => row.series.filter(s => s.stats));
+    if (series.length === 0) {
+      container.innerHTML = '<p class="text-muted">Aucun salaire renseigné pour cette sélection</p>';
+      return;
+    }
+
+    const comparing = rows[0].series.length > 1;
+    const rowHeight = comparing ? 52 : 34;
+    const margin = { top: 8, right: 16, bottom: 28, left: 200 };
+    const width = container.clientWidth || 600;
+    const height = margin.top + margin.bottom + rows.length * rowHeight;
+    const maxCount = d3.max(series, s => s.values.length);
+
+    const x = d3.scaleLinear()
+      .domain([d3.min(series, s => s.stats.min), d3.max(series, s => s.stats.max)])
+      .nice()
+      .range([margin.left, width - margin.right]);
+    const y = d3.scaleBand()
+      .domain(rows.map(r => r.key))
+      .range([margin.top, height - margin.bottom])
+      .padding(0.2);
+    const band = d3.scaleBand()
+      .domain(rows[0].series.map((s, i) => i))
+      .range([0, y.bandwidth()])
+      .padding(comparing ? 0.1 : 0);
+
+    const svg = d3.select(container)
+      .append('svg')
+      .attr('viewBox', `0 0 ${width} ${height}`)
+      .attr('role', 'img')
+      .attr('aria-label', this.view === 'box'
+        ? 'Boîtes à moustaches des salaires'
+        : 'Distribution des salaires (violons et points)');
+
+    svg.append('g')
+      .attr('class', 'salary-distribution-axis')
+      .attr('transform', `translate(0,${height - margin.bottom})`)
+      .call(d3.axisBottom(x).ticks(5).tickFormat(v => Charts.formatSalary(v)));
+
+    const row = svg.selectAll('.salary-distribution-row')
+      .data(rows)
+      .join('g')
+      .attr('class', 'salary-distribution-row')
+      .attr('transform', d => `translate(0,${y(d.key)})`);
+
+    row.append('text')
+      .attr('class', 'salary-distribution-label')
+      .attr('x', margin.left - 8)
+      .attr('y', y.bandwidth() / 2)
+      .attr('dy', '0.35em')
+      .attr('text-anchor', 'end')
+      .text(d => this.formatLabel(d));
+
+    row.each((d, i, nodes) => {
+      d.series.forEach((s, j) => {
+        if (!s.stats) return;
+
+        const g = d3.select(nodes[i])
+          .append('g')
+          .attr('class', 'salary-distribution-series')
+          .classed('is-low-sample', s.values.length < SalaryUtils.MIN_SAMPLE)
+          .attr('transform', `translate(0,${band(j)})`);
+
+        // Thickness grows with the square root of the sample size
+        const size = band.bandwidth() * Math.max(Math.sqrt(s.values.length / maxCount), 0.3);
+        const mid = band.bandwidth() / 2;
+
+        if (this.view === 'box') {
+          this.drawBox(g, s, x, mid, size);
+        } else {
+          this.drawViolin(g, s, x, mid, size);
+        }
+
+        g.append('title').text(this.formatTooltip(d, s));
+      });
+    });
+  },
+
+  /**
+   * Box and whiskers: Q1-Q3 box, median line, whiskers to the last values within the fences, outlier circles
+   */
+  drawBox(g, s, x, mid, size) {
+    const { stats, color } = s;
+
+    g.append('line')
+      .attr('class', 'salary-distribution-whisker')
+      .attr('x1', x(stats.whiskerLow))
+      .attr('x2', x(stats.whiskerHigh))
+      .attr('y1', mid)
+      .attr('y2', mid)
+      .attr('stroke', color);
+
+    [stats.whiskerLow, stats.whiskerHigh].forEach(v => {
+      g.append('line')
+        .attr('class', 'salary-distribution-whisker')
+        .attr('x1', x(v))
+        .attr('x2', x(v))
+        .attr('y1', mid - size / 4)
+        .attr('y2', mid + size / 4)
+        .attr('stroke', color);
+    });
+
+    g.append('rect')
+      .attr('class', 'salary-distribution-box')
+      .attr('x', x(stats.q1))
+      .attr('y', mid - size / 2)
+      .attr('width', Math.max(x(stats.q3) - x(stats.q1), 1))
+      .attr('height', size)
+      .attr('fill', color)
+      .attr('stroke', color);
+
+    this.drawMedian(g, s, x, mid, size);
+
+    g.selectAll('.salary-distribution-outlier')
+      .data(stats.outliers)
+      .join('circle')
+      .attr('class', 'salary-distribution-outlier')
+      .attr('cx', v => x(v))
+      .attr('cy', mid)
+      .attr('r', 3)
+      .attr('stroke', color);
+  },
+
+  /**
+   * Violin (density) with every salary as a point; small samples only get their points
+   */
+  drawViolin(g, s, x, mid, size) {
+    const { stats, values, color } = s;
+
+    if (values.length >= SalaryUtils.MIN_SAMPLE && stats.max > stats.min) {
+      const density = this.density(values, stats);
+      const maxDensity = d3.max(density, d => d[1]);
+      const half = d => d[1] / maxDensity * size / 2;
+
+      g.append('path')
+        .attr('class', 'salary-distribution-violin')
+        .attr('d', d3.area()
+          .x(d => x(d[0]))
+          .y0(d => mid - half(d))
+          .y1(d => mid + half(d))
+          .curve(d3.curveBasis)(density))
+        .attr('fill', color)
+        .attr('stroke', color);
+    }
+
+    // Deterministic jitter (golden ratio sequence) so points don't move between renders
+    const outliers = new Set(stats.outliers);
+    g.selectAll('.salary-distribution-point')
+      .data(values)
+      .join('circle')
+      .attr('class', v => outliers.has(v) ? 'salary-distribution-point salary-distribution-outlier' : 'salary-distribution-point')
+      .attr('cx', v => x(v))
+      .attr('cy', (v, i) => mid + (((i * 0.618034) % 1) - 0.5) * size * 0.8)
+      .attr('r', 2)
+      .attr('fill', color)
+      .attr('stroke', color);
+
+    this.drawMedian(g, s, x, mid, size);
+  },
+
+  /**
+   * Median tick across the box or violin
+   */
+  drawMedian(g, s, x, mid, size) {
+    g.append('line')
+      .attr('class', 'salary-distribution-median')
+      .attr('x1', x(s.stats.median))
+      .attr('x2', x(s.stats.median))
+      .attr('y1', mid - size / 2)
+      .attr('y2', mid + size / 2)
+      .attr('stroke', s.color);
+  },
+
+  /**
+   * Row label with the sample size(s)
+   * @returns {string} e.g. "CDI (n=42)" or "CDI (A n=42 · B n=3)"
+   */
+  formatLabel(row) {
+    const counts = row.series.map(s => s.label ? `${s.label} n=${s.values.length}` : `n=${s.values.length}`);
+    return `${row.name} (${counts.join(' · ')})`;
+  },
+
+  /**
+   * Tooltip of one box or violin
+   */
+  formatTooltip(row, s) {
+    const f = v => Charts.formatSalary(v);
+    const { stats } = s;
+    const lines = [
+      `${row.name}${s.label ? ` (sélection ${s.label})` : ''}`,
+      `Médiane ${f(stats.median)} · Q1 ${f(stats.q1)} · Q3 ${f(stats.q3)}`,
+      `Min ${f(stats.min)} · Max ${f(stats.max)} · n=${stats.count}`
+    ];
+    const ci = SalaryUtils.getMedianCI(stats);
+    if (ci) {
+      lines.push(`Médiane : ${SalaryUtils.formatConfidenceInterval(ci, undefined, f)}`);
+    }
+    if (stats.outliers.length > 0) {
+      lines.push(`${stats.outliers.length} valeur${stats.outliers.length > 1 ? 's' : ''} atypique${stats.outliers.length > 1 ? 's' : ''}`);
+    }
+    if (stats.count < SalaryUtils.MIN_SAMPLE) {
+      lines.push(`${SalaryUtils.INSUFFICIENT_LABEL} (moins de ${SalaryUtils.MIN_SAMPLE} salaires)`);
+    }
+    if (s.note) {
+      lines.push(s.note);
+    }
+    return lines.join('\n');
+  },
+
+  /**
+   * Explain the encoding of the current view
+   */
+  renderNote() {
+    const note = document.getElementById('salary-view-note');
+    if (!note) return;
+
+    note.hidden = this.view === 'median';
+    const shape = this.view === 'box'
+      ? 'Boîte : Q1 à Q3, trait : médiane, moustaches : jusqu\'à 1,5 × l\'écart interquartile, cercles : valeurs atypiques.'
+      : 'Violon : densité des salaires, points : chaque offre (cerclés si atypiques), trait : médiane.';
+    note.textContent = `${shape} L'épaisseur croît avec le nombre de salaires ; en pointillés : moins de ${SalaryUtils.MIN_SAMPLE} salaires.`;
+  }
+};
+
+// Export
+window.SalaryDistribution = SalaryDistribution;
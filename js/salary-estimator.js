@@ -0,0 +1,220 @@
+/**
+ * Salary Estimator
+ * "Combien puis-je espérer ?": estimates the salary range (P25–P75) of a profile
+ * (job family, department or region, contract type, experience level) from the matching salaried offers
+ * When too few offers publish a salary, the location is relaxed: department, then region, then France
+ */
+
+const SalaryEstimator = {
+  // Contract types are detailed by duration ("CDD - 12 Mois"), the estimator asks for their kind
+  CONTRACT_GROUPS: [
+    { key: 'CDI', label: 'CDI', match: c => c.startsWith('CDI') },
+    { key: 'CDD', label: 'CDD', match: c => c.startsWith('CDD') },
+    { key: 'interim', label: 'Intérim', match: c => c.startsWith('Intérim') },
+    { key: 'saisonnier', label: 'Saisonnier', match: c => c.toLowerCase().includes('saisonnier') }
+  ],
+
+  // Last estimate and what it depends on: the sidebar filters don't apply, so Charts updates only re-render it
+  result: null,
+  resultKey: null,
+
+  /**
+   * Fill the profile selects and estimate on every change
+   */
+  init() {
+    const form = document.getElementById('salary-estimator-form');
+    if (!form) return;
+
+    // Options are { value, label }, or { label, options } for an optgroup
+    const renderOption = o => `<option value="${OffersModal.escapeHtml(o.value)}">${OffersModal.escapeHtml(o.label)}</option>`;
+    const fillSelect = (id, anyLabel, options) => {
+      const select = document.getElementById(id);
+      select.innerHTML = `<option value="">${anyLabel}</option>` + options
+        .map(o => o.options
+          ? `<optgroup label="${OffersModal.escapeHtml(o.label)}">${o.options.map(renderOption).join('')}</optgroup>`
+          : renderOption(o))
+        .join('');
+    };
+
+    const families = JobClassifier.getAllFamilyNames().sort((a, b) => a.localeCompare(b, 'fr'));
+    fillSelect('estimator-family', 'Toutes les familles', families.map(f => ({ value: f, label: f })));
+
+    // Region and department codes overlap ("01" is Guadeloupe and Ain): values carry their level
+    const names = DataProcessor.getData().departments || {};
+    fillSelect('estimator-location', 'Toute la France', [
+      {
+        label: 'Régions',
+        options: Regions.list.map(r => ({ value: `region:${r.code}`, label: r.name }))
+      },
+      {
+        label: 'Départements',
+        options: DataProcessor.getUniqueValues('department')
+          .map(code => ({ value: `department:${code}`, label: names[code] ? `${code} – ${names[code]}` : code }))
+      }
+    ]);
+
+    fillSelect('estimator-contract', 'Tous les contrats', this.CONTRACT_GROUPS
+      .map(g => ({ value: g.key, label: g.label })));
+
+    fillSelect('estimator-experience', 'Toutes les expériences', DataProcessor.EXPERIENCE_LEVELS
+      .map(level => ({ value: level, label: level })));
+
+    form.addEventListener('change', () => this.update());
+    form.addEventListener('submit', (e) => e.preventDefault());
+    this.update();
+  },
+
+  /**
+   * Read the profile from the selects
+   * @returns {object} { family, location: { level, code } | null, contract, experience } (empty strings or null when indifferent)
+   */
+  getProfile() {
+    const value = id => document.getElementById(id)?.value || '';
+    const [level, code] = value('estimator-location').split(':');
+    return {
+      family: value('estimator-family'),
+      location: code ? { level, code } : null,
+      contract: value('estimator-contract'),
+      experience: value('estimator-experience')
+    };
+  },
+
+  /**
+   * Filter state matching a profile at a location level
+   * @param {object} profile - Profile from getProfile
+   * @param {object} scope - Level from getLevels: { level: 'department', 'region' or 'national', code }
+   * @returns {object} Filters for DataProcessor.filterOffers
+   */
+  getFilters(profile, scope) {
+    const filters = {
+      jobFamilies: profile.family ? [profile.family] : [],
+      experienceLevels: profile.experience ? [profile.experience] : [],
+      showFlaggedSalaries: DataProcessor.filters.showFlaggedSalaries
+    };
+
+    const group = this.CONTRACT_GROUPS.find(g => g.key === profile.contract);
+    if (group) {
+      filters.contractTypes = DataProcessor.getUniqueValues('contractType').filter(group.match);
+    }
+
+    if (scope.level === 'department') {
+      filters.departments = [scope.code];
+    } else if (scope.level === 'region') {
+      filters.regions = [scope.code];
+    }
+    return filters;
+  },
+
+  /**
+   * Location levels to try, from the one chosen up to France
+   * @param {object} profile - Profile from getProfile
+   * @returns {Array<object>} { level, code, label }
+   */
+  getLevels(profile) {
+    const levels = [];
+    const { location } = profile;
+
+    if (location?.level === 'department') {
+      const name = DataProcessor.getData().departments?.[location.code];
+      levels.push({ level: 'department', code: location.code, label: name ? `${name} (${location.code})` : `département ${location.code}` });
+    }
+
+    if (location) {
+      const region = location.level === 'region' ? Regions.get(location.code) : Regions.getRegion(location.code);
+      if (region) levels.push({ level: 'region', code: region.code, label: `région ${region.name}` });
+    }
+
+    levels.push({ level: 'national', code: null, label: 'France entière' });
+    return levels;
+  },
+
+  /**
+   * Estimate the salary range of a profile
+   * Each location level is tried in turn until MIN_SAMPLE offers publish a salary
+   * @param {object} profile - Profile from getProfile
+   * @returns {object} { scope, group, steps: [{ level, code, label, withSalary }], relaxed }
+   *   group is the DataProcessor salary group of the retained level (salaryStats null without salaries);
+   *   relaxed is true when the location asked for was widened
+   */
+  estimate(profile) {
+    const steps = [];
+    let group = null;
+
+    for (const scope of this.getLevels(profile)) {
+      const offers = DataProcessor.filterOffers(this.getFilters(profile, scope));
+      group = DataProcessor.getSalaryGroup(offers, DataProcessor.filters.showFlaggedSalaries);
+      steps.push({ ...scope, withSalary: group.withSalary });
+      if (SalaryUtils.isSufficient(group.salaryStats)) break;
+    }
+
+    const scope = steps[steps.length - 1];
+    return { scope, group, steps, relaxed: steps.length > 1 };
+  },
+
+  /**
+   * Explain which relaxations were applied
+   * @param {object} result - Result of estimate()
+   * @returns {string} French sentence (empty when the first level sufficed)
+   */
+  describeRelaxation(result) {
+    if (!result.relaxed) return '';
+    const tried = result.steps.slice(0, -1)
+      .map(s => `${s.label} : ${s.withSalary} salaire${s.withSalary > 1 ? 's' : ''}`)
+      .join(', ');
+    return `Échantillon trop petit (${tried} ; minimum ${SalaryUtils.MIN_SAMPLE}), ` +
+      `critère géographique élargi à : ${result.scope.label}.`;
+  },
+
+  /**
+   * Show the estimate of the current profile in the current display units
+   * Re-estimates only when the profile, the flagged salaries setting or the data changed
+   */
+  update() {
+    const container = document.getElementById('salary-estimator-result');
+    if (!container || !DataProcessor.getData()) return;
+
+    const profile = this.getProfile();
+    const key = JSON.stringify([profile, DataProcessor.filters.showFlaggedSalaries]);
+    if (!this.result || this.resultKey !== key || this.result.data !== DataProcessor.getData()) {
+      this.result = { ...this.estimate(profile), data: DataProcessor.getData() };
+      this.resultKey = key;
+    }
+
+    const result = this.result;
+    const { group, scope } = result;
+    const stats = group.salaryStats;
+    const relaxation = this.describeRelaxation(result);
+    const format = v => Charts.formatSalary(Charts.convertSalary(v, group));
+    const note = `${Charts.getNetNote(group) || ''}${Charts.getUnitNote()}`.trim();
+
+    if (!SalaryUtils.isSufficient(stats)) {
+      container.innerHTML = `
+        <p class="salary-estimator-empty">
+          Échantillon insuffisant : ${group.withSalary} offre${group.withSalary > 1 ? 's' : ''} avec salaire
+          pour ce profil en ${scope.label} (minimum ${SalaryUtils.MIN_SAMPLE}). Essayez d'élargir le contrat ou l'expérience.
+        </p>
+        ${relaxation ? `<p class="salary-estimator-relaxed">${relaxation}</p>` : ''}
+      `;
+      return;
+    }
+
+    container.innerHTML = `
+      <p class="salary-estimator-range">
+        <span class="salary-estimator-label">${Charts.getSalaryLabel()}, P25–P75</span>
+        <strong>${SalaryUtils.formatRange(stats.q1, stats.q3, format)}</strong>
+      </p>
+      <p class="salary-estimator-median">
+        Médiane : <strong>${format(stats.median)}</strong>
+        <span class="salary-ci">${SalaryUtils.formatConfidenceInterval(SalaryUtils.getMedianCI(stats), v => Charts.convertSalary(v, group), v => Charts.formatSalary(v))}</span>
+      </p>
+      <p class="salary-estimator-basis">
+        D'après ${stats.count} offre${stats.count > 1 ? 's' : ''} avec salaire (${scope.label}).
+      </p>
+      ${relaxation ? `<p class="salary-estimator-relaxed">${relaxation}</p>` : ''}
+      ${note ? `<p class="salary-estimator-note">${note}</p>` : ''}
+    `;
+  }
+};
+
+// Export
+window.SalaryEstimator = SalaryEstimator;
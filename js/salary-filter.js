@@ -0,0 +1,206 @@
+/**
+ * Salary Filter Component
+ * Dual-handle salary range slider drawn over a histogram of the current selection
+ * Bounds are stored in gross annual euros and displayed in the Charts salary units
+ */
+
+const SalaryFilter = {
+  STEP: 1000,
+  BIN_COUNT: 20,
+
+  // Slider domain [min, max] in gross annual euros
+  // A handle resting at either end means "no bound" on that side
+  domain: null,
+
+  /**
+   * Initialize the sidebar salary filter
+   * @param {HTMLElement} root - The .salary-filter element
+   * @param {function} onChange - Called with the new range when the user commits a change
+   */
+  init(root, onChange) {
+    const salaries = DataProcessor.getOffers(false)
+      .map(o => DataProcessor.getSalary(o, false))
+      .filter(Boolean)
+      .sort((a, b) => a - b);
+
+    if (!root || salaries.length === 0) return;
+
+    // Trim the extreme 2% on each side so outliers don't squash the slider
+    const pick = p => salaries[Math.min(salaries.length - 1, Math.floor(salaries.length * p))];
+    this.domain = [
+      Math.floor(pick(0.02) / this.STEP) * this.STEP,
+      Math.ceil(pick(0.98) / this.STEP) * this.STEP
+    ];
+
+    this.setupRoot(root, onChange);
+  },
+
+  /**
+   * Wire slider and checkbox events on a filter root (sidebar or bottom sheet clone)
+   * @param {HTMLElement} root - The .salary-filter element
+   * @param {function} onChange - Called with the new range when the user commits a change
+   */
+  setupRoot(root, onChange) {
+    if (!root || !this.domain) return;
+
+    const minInput = root.querySelector('.salary-slider-min');
+    const maxInput = root.querySelector('.salary-slider-max');
+    const unknownCb = root.querySelector('.salary-filter-unknown-cb');
+    if (!minInput || !maxInput) return;
+
+    [minInput, maxInput].forEach(input => {
+      input.min = this.domain[0];
+      input.max = this.domain[1];
+      input.step = this.STEP;
+    });
+    if (!root.dataset.ready) {
+      minInput.value = this.domain[0];
+      maxInput.value = this.domain[1];
+    }
+
+    // Keep the handles from crossing while dragging
+    minInput.addEventListener('input', () => {
+      if (Number(minInput.value) > Number(maxInput.value)) minInput.value = maxInput.value;
+      this.renderSelection(root);
+    });
+    maxInput.addEventListener('input', () => {
+      if (Number(maxInput.value) < Number(minInput.value)) maxInput.value = minInput.value;
+      this.renderSelection(root);
+    });
+
+    minInput.addEventListener('change', () => onChange(this.readRange(root)));
+    maxInput.addEventListener('change', () => onChange(this.readRange(root)));
+    unknownCb?.addEventListener('change', () => onChange(this.readRange(root)));
+
+    root.dataset.ready = 'true';
+    this.render(root);
+  },
+
+  /**
+   * Read the range currently shown on a filter root
+   * @param {HTMLElement} root - The .salary-filter element
+   * @returns {object|null} { min, max, includeUnknown } or null when no bound is set
+   */
+  readRange(root) {
+    if (!root || !this.domain) return null;
+
+    const minVal = Number(root.querySelector('.salary-slider-min').value);
+    const maxVal = Number(root.querySelector('.salary-slider-max').value);
+    const min = minVal > this.domain[0] ? minVal : null;
+    const max = maxVal < this.domain[1] ? maxVal : null;
+
+    if (min === null && max === null) return null;
+
+    return {
+      min,
+      max,
+      includeUnknown: !!root.querySelector('.salary-filter-unknown-cb')?.checked
+    };
+  },
+
+  /**
+   * Show a range on a filter root
+   * @param {HTMLElement} root - The .salary-filter element
+   * @param {object|null} range - { min, max, includeUnknown } or null to clear
+   */
+  setRange(root, range) {
+    if (!root || !this.domain) return;
+
+    root.querySelector('.salary-slider-min').value = range?.min ?? this.domain[0];
+    root.querySelector('.salary-slider-max').value = range?.max ?? this.domain[1];
+    const unknownCb = root.querySelector('.salary-filter-unknown-cb');
+    if (unknownCb) unknownCb.checked = !!range?.includeUnknown;
+
+    this.renderSelection(root);
+  },
+
+  /**
+   * Re-render every salary filter (after filtering or a unit change)
+   */
+  update() {
+    if (!this.domain) return;
+
+    const bins = this.computeBins();
+    document.querySelectorAll('.salary-filter').forEach(root => this.render(root, bins));
+  },
+
+  /**
+   * Count salaries of the current selection per histogram bin
+   * The salary bound itself is ignored so the histogram doesn't collapse to the selection
+   * @returns {number[]} Count per bin
+   */
+  computeBins() {
+    const [lo, hi] = this.domain;
+    const width = (hi - lo) / this.BIN_COUNT;
+    const bins = new Array(this.BIN_COUNT).fill(0);
+
+    DataProcessor.getRangeFreeSalaries().forEach(salary => {
+      const idx = Math.floor((salary - lo) / width);
+      bins[Math.max(0, Math.min(this.BIN_COUNT - 1, idx))]++;
+    });
+
+    return bins;
+  },
+
+  /**
+   * Render histogram bars and labels on a filter root
+   * @param {HTMLElement} root - The .salary-filter element
+   * @param {number[]} bins - Precomputed bin counts (optional)
+   */
+  render(root, bins = this.computeBins()) {
+    const histogram = root.querySelector('.salary-histogram');
+    if (!histogram) return;
+
+    const [lo, hi] = this.domain;
+    const width = (hi - lo) / this.BIN_COUNT;
+    const maxCount = Math.max(...bins, 1);
+
+    histogram.innerHTML = bins.map((count, i) => {
+      const from = lo + i * width;
+      const to = from + width;
+      const title = `${this.formatBound(from)} – ${this.formatBound(to)} : ${count} offre${count > 1 ? 's' : ''}`;
+      return `<div class="salary-histogram-bar" data-from="${from}" data-to="${to}" style="height: ${(count / maxCount) * 100}%" title="${title}"></div>`;
+    }).join('');
+
+    const unit = root.querySelector('.salary-filter-unit');
+    if (unit) unit.textContent = `(${Charts.getSalaryLabel().toLowerCase()})`;
+
+    this.renderSelection(root);
+  },
+
+  /**
+   * Update value labels, highlighted bars and checkbox state for the current handles
+   * @param {HTMLElement} root - The .salary-filter element
+   */
+  renderSelection(root) {
+    const minVal = Number(root.querySelector('.salary-slider-min').value);
+    const maxVal = Number(root.querySelector('.salary-slider-max').value);
+    const [lo, hi] = this.domain;
+
+    root.querySelectorAll('.salary-histogram-bar').forEach(bar => {
+      const inRange = Number(bar.dataset.to) > minVal && Number(bar.dataset.from) < maxVal;
+      bar.classList.toggle('in-range', inRange);
+    });
+
+    const minLabel = root.querySelector('.salary-filter-min-label');
+    const maxLabel = root.querySelector('.salary-filter-max-label');
+    if (minLabel) minLabel.textContent = minVal > lo ? this.formatBound(minVal) : 'Min';
+    if (maxLabel) maxLabel.textContent = maxVal < hi ? this.formatBound(maxVal) : 'Max';
+
+    // Offers without salary only matter once a bound is set
+    const unknownCb = root.querySelector('.salary-filter-unknown-cb');
+    if (unknownCb) unknownCb.disabled = minVal <= lo && maxVal >= hi;
+  },
+
+  /**
+   * Format a gross annual bound in the current display units
+   * @param {number} value - Gross annual salary
+   * @returns {string} Formatted salary
+   */
+  formatBound(value) {
+    return Charts.formatSalary(Charts.convertSalary(value), true);
+  }
+};
+
+// Export
+window.SalaryFilter = SalaryFilter;
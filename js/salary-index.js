@@ -0,0 +1,94 @@
+/**
+ * Salary Index
+ * SMIC history and INSEE consumer price index, to express salaries as multiples of the SMIC
+ * in force at the offer's date or in constant euros
+ */
+
+const SalaryIndex = {
+  // SMIC brut horaire, by date it came into force
+  SMIC_HOURLY: [
+    { from: '2022-01-01', value: 10.57 },
+    { from: '2022-05-01', value: 10.85 },
+    { from: '2022-08-01', value: 11.07 },
+    { from: '2023-01-01', value: 11.27 },
+    { from: '2023-05-01', value: 11.52 },
+    { from: '2024-01-01', value: 11.65 },
+    { from: '2024-11-01', value: 11.88 },
+    { from: '2026-01-01', value: 12.02 }
+  ],
+
+  // INSEE consumer price index, all households, France, base 2015 = 100, annual averages (latest year provisional)
+  CPI: {
+    2015: 100.00,
+    2016: 100.18,
+    2017: 101.21,
+    2018: 103.06,
+    2019: 104.20,
+    2020: 104.72,
+    2021: 106.42,
+    2022: 111.92,
+    2023: 117.39,
+    2024: 119.78,
+    2025: 120.84
+  },
+
+  // ISO date -> factors, memoized (a few dozen collection dates)
+  factors: new Map(),
+
+  /**
+   * Year whose prices constant euros are expressed in
+   * @returns {number} Latest year of the CPI table
+   */
+  getReferenceYear() {
+    return Math.max(...Object.keys(this.CPI).map(Number));
+  },
+
+  /**
+   * SMIC brut horaire in force at a date
+   * @param {string} date - ISO date (defaults to the latest known value)
+   * @returns {number} Euros per hour
+   */
+  getSmicHourly(date) {
+    const entries = date ? this.SMIC_HOURLY.filter(e => e.from <= date) : this.SMIC_HOURLY;
+    return (entries[entries.length - 1] || this.SMIC_HOURLY[0]).value;
+  },
+
+  /**
+   * Full-time gross annual SMIC in force at a date
+   * @param {string} date - ISO date (defaults to the latest known value)
+   * @returns {number} Euros per year
+   */
+  getSmicAnnual(date) {
+    return this.getSmicHourly(date) * SalaryUtils.HOURS_PER_MONTH * 12;
+  },
+
+  /**
+   * Consumer price index of a date's year (years outside the table use the nearest one)
+   * @param {string} date - ISO date
+   * @returns {number} Index, base 2015 = 100
+   */
+  getCpi(date) {
+    const years = Object.keys(this.CPI).map(Number);
+    const year = Number(String(date || '').slice(0, 4)) || this.getReferenceYear();
+    const clamped = Math.min(Math.max(year, Math.min(...years)), Math.max(...years));
+    return this.CPI[clamped];
+  },
+
+  /**
+   * Multipliers converting a gross annual salary of a date to the other units
+   * @param {string} date - ISO date of the offer
+   * @returns {object} { smic: salary → multiple of the SMIC, constant: salary → euros of the reference year }
+   */
+  getFactors(date) {
+    if (!this.factors.has(date)) {
+      this.factors.set(date, {
+        smic: 1 / this.getSmicAnnual(date),
+        constant: this.getCpi(this.getReferenceYear()) / this.getCpi(date)
+      });
+    }
+    return this.factors.get(date);
+  }
+};
+
+// Export
+window.SalaryIndex = SalaryIndex;
@@ -0,0 +1,136 @@
+/**
+ * Salary Quality
+ * Flags implausible gross annual salaries by checking them against the offer's raw salary text
+ * (salaryRaw, e.g. "Mensuel de 1900.00 Euros à 2150.00 Euros sur 12.0 mois")
+ * A flagged salary is either corrected (an amount read with the wrong period) or excluded from the statistics
+ */
+
+const SalaryQuality = {
+  CEILING: 100000, // Gross annual salaries above this are not credible for these offers
+  MAX_RANGE_RATIO: 4, // A raw range whose maximum exceeds 4 × its minimum is a typing error
+
+  ISSUES: {
+    periodMismatch: 'Période incohérente',
+    implausibleRange: 'Fourchette incohérente',
+    belowSmic: 'Sous le SMIC',
+    aboveCeiling: 'Au-dessus du plafond'
+  },
+
+  // Offer -> check result, memoized (offers never change once loaded)
+  checks: new WeakMap(),
+
+  /**
+   * Lowest plausible gross annual salary: a full year at the SMIC
+   * @param {string} date - ISO date of the offer (defaults to the latest SMIC)
+   * @returns {number} Euros
+   */
+  getFloor(date) {
+    return SalaryIndex.getSmicAnnual(date);
+  },
+
+  /**
+   * Whether a gross annual salary lies between the SMIC and the ceiling
+   * One euro of slack for the aggregation's rounding, so an offer at exactly the SMIC passes
+   * @param {number} value - Gross annual salary
+   * @param {string} date - ISO date of the offer
+   * @returns {boolean}
+   */
+  isPlausible(value, date) {
+    return value >= Math.floor(this.getFloor(date)) - 1 && value <= this.CEILING;
+  },
+
+  /**
+   * Check an offer's gross annual salary
+   * @param {object} offer - Offer
+   * @returns {object|null} null when plausible (or unknown), otherwise
+   *   { issue, label, action: 'corrected' | 'excluded', original, corrected: number | null }
+   */
+  check(offer) {
+    if (this.checks.has(offer)) return this.checks.get(offer);
+
+    const result = this.runCheck(offer);
+    this.checks.set(offer, result);
+    return result;
+  },
+
+  /**
+   * Check rules, in order: unusable raw range, wrong period, below the SMIC, above the ceiling
+   */
+  runCheck(offer) {
+    const original = offer.salaryGrossAnnual;
+    if (!original) return null;
+
+    const flag = (issue, corrected = null) => ({
+      issue,
+      label: this.ISSUES[issue],
+      action: corrected === null ? 'excluded' : 'corrected',
+      original,
+      corrected
+    });
+
+    const raw = SalaryUtils.parseSalaryRaw(offer.salaryRaw);
+    if (raw && (raw.min <= 0 || raw.max / raw.min > this.MAX_RANGE_RATIO)) {
+      return flag('implausibleRange');
+    }
+
+    if (this.isPlausible(original, offer.date)) return null;
+
+    // The amount only makes sense with another period, e.g. a monthly figure labelled annual
+    if (raw && !raw.periodInferred) {
+      const middle = (raw.min + raw.max) / 2;
+      const alternatives = Object.values(SalaryUtils.RAW_PERIODS)
+        .filter(period => period !== raw.period)
+        .map(period => Math.round(SalaryUtils.annualizeSalary(middle, period, raw.months || 12)))
+        .filter(value => this.isPlausible(value, offer.date));
+
+      if (alternatives.length === 1) {
+        return flag('periodMismatch', alternatives[0]);
+      }
+    }
+
+    return flag(original > this.CEILING ? 'aboveCeiling' : 'belowSmic');
+  },
+
+  /**
+   * Gross annual salary to use in statistics
+   * @param {object} offer - Offer
+   * @param {boolean} showFlagged - Keep flagged salaries as published
+   * @returns {number|null} Salary, corrected salary, or null (no salary or excluded)
+   */
+  getSalary(offer, showFlagged = false) {
+    if (!offer.salaryGrossAnnual) return null;
+    if (showFlagged) return offer.salaryGrossAnnual;
+
+    const flag = this.check(offer);
+    return flag ? flag.corrected : offer.salaryGrossAnnual;
+  },
+
+  /**
+   * Count the flagged salaries of a set of offers
+   * @param {array} offers - Offers
+   * @returns {object} { checked, flagged: [{ offer, ...flag }], byIssue: { issue: { label, corrected, excluded } } }
+   */
+  summarize(offers) {
+    const byIssue = {};
+    Object.entries(this.ISSUES).forEach(([issue, label]) => {
+      byIssue[issue] = { label, corrected: 0, excluded: 0 };
+    });
+
+    let checked = 0;
+    const flagged = [];
+    offers.forEach(offer => {
+      if (!offer.salaryGrossAnnual) return;
+      checked++;
+
+      const flag = this.check(offer);
+      if (!flag) return;
+      byIssue[flag.issue][flag.action]++;
+      flagged.push({ offer, ...flag });
+    });
+
+    return { checked, flagged, byIssue };
+  }
+};
+
+// Export
+window.SalaryQuality = SalaryQuality;
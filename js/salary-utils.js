@@ -4,11 +4,32 @@
  */
 
 const SalaryUtils = {
-  // Conversion rates
-  RATES: {
-    cadre: 0.75,      // 25% social charges for cadre
-    nonCadre: 0.78    // 22% social charges for non-cadre
+  // Share of the gross salary kept as net (before income tax), by EmploymentStatus status
+  NET_RATES: {
+    privateNonCadre: 0.78,  // ~22% employee contributions
+    privateCadre: 0.75,     // ~25%: higher AGIRC-ARRCO bracket and APEC
+    publicTitulaire: 0.83,  // ~17%: CNRACL pension on the base pay only, bonuses under RAFP
+    publicContractuel: 0.80 // ~20%: general scheme with IRCANTEC instead of AGIRC-ARRCO
   },
+  DEFAULT_STATUS: 'privateNonCadre',
+
+  // Salary statistics
+  MIN_SAMPLE: 10, // Fewer salaries than this: figures are withheld as "échantillon insuffisant"
+  INSUFFICIENT_LABEL: 'échantillon insuffisant',
+  CONFIDENCE: 0.95, // Level of the median confidence interval
+  BOOTSTRAP_RESAMPLES: 1000,
+  BOOTSTRAP_SEED: 20240101, // Fixed seed: the same salaries always give the same published interval
+
+  // Full-time month (35 hours a week), used with the hourly SMIC of SalaryIndex
+  HOURS_PER_MONTH: 151.67,
+
+  // France Travail salary strings: "<Période> de <min> Euros [à <max> Euros] [sur <n> mois] [compléments]"
+  RAW_PERIODS: {
+    annuel: 'annual',
+    mensuel: 'monthly',
+    horaire: 'hourly'
+  },
+  PAID_MONTHS: { min: 12, max: 16 }, // "sur 0.0 mois" or "sur 3.0 mois" is a contract length, not months paid
 
   /**
    * Format a number as French currency
@@ -26,6 +47,18 @@ const SalaryUtils = {
     }).format(value);
   },
 
+  /**
+   * Format a salary range as French currency
+   * @param {number} min - Lower bound
+   * @param {number} max - Upper bound
+   * @param {function} format - Formatter of one bound (defaults to currency)
+   * @returns {string} "28 000 € – 33 000 €", or a single amount when both bounds are equal
+   */
+  formatRange(min, max, format = v => this.formatCurrency(v)) {
+    if (min === max) return format(min);
+    return `${format(min)} – ${format(max)}`;
+  },
+
   /**
    * Format number with French locale
    * @param {number} value - The value to format
@@ -62,30 +95,68 @@ const SalaryUtils = {
     return `${typeLabels[type]} ${periodLabels[period]}`;
   },
 
+  /**
+   * Get the net/gross rate of an employment status
+   * @param {string} status - Key of NET_RATES (unknown statuses use DEFAULT_STATUS)
+   * @returns {number} Share of gross kept as net
+   */
+  getNetRate(status = this.DEFAULT_STATUS) {
+    return this.NET_RATES[status] || this.NET_RATES[this.DEFAULT_STATUS];
+  },
+
+  /**
+   * Average net/gross rate of a mix of statuses
+   * @param {object} statuses - Status -> number of salaries
+   * @returns {number|null} Weighted rate, null when there are no salaries
+   */
+  blendNetRate(statuses) {
+    let total = 0;
+    let weighted = 0;
+    Object.entries(statuses).forEach(([status, count]) => {
+      total += count;
+      weighted += this.getNetRate(status) * count;
+    });
+    return total > 0 ? weighted / total : null;
+  },
+
   /**
    * Convert gross to net
    * @param {number} gross - Gross salary
-   * @param {boolean} isCadre - Whether the position is cadre
+   * @param {number} rate - Net/gross rate (getNetRate, or a blend of several statuses)
    * @returns {number} Net salary
    */
-  grossToNet(gross, isCadre = false) {
+  grossToNet(gross, rate = this.getNetRate()) {
     if (gross === null || gross === undefined) return null;
-    const rate = isCadre ? this.RATES.cadre : this.RATES.nonCadre;
     return Math.round(gross * rate);
   },
 
   /**
    * Convert net to gross
    * @param {number} net - Net salary
-   * @param {boolean} isCadre - Whether the position is cadre
+   * @param {number} rate - Net/gross rate (getNetRate, or a blend of several statuses)
    * @returns {number} Gross salary
    */
-  netToGross(net, isCadre = false) {
+  netToGross(net, rate = this.getNetRate()) {
     if (net === null || net === undefined) return null;
-    const rate = isCadre ? this.RATES.cadre : this.RATES.nonCadre;
     return Math.round(net / rate);
   },
 
+  /**
+   * Describe how a net salary was derived, for tooltips
+   * @param {number} rate - Net/gross rate applied
+   * @param {object} statuses - Status -> number of salaries it applies to
+   * @returns {string} e.g. "Net estimé à 79 % du brut : Privé non-cadre (12), Public contractuel (5)"
+   */
+  formatNetAssumption(rate, statuses = {}) {
+    const mix = Object.entries(statuses)
+      .filter(([, count]) => count > 0)
+      .sort((a, b) => b[1] - a[1])
+      .map(([status, count]) => `${EmploymentStatus.getLabel(status)} (${count})`)
+      .join(', ');
+    const percent = (rate * 100).toLocaleString('fr-FR', { maximumFractionDigits: 1 });
+    return `Net estimé à ${percent} % du brut${mix ? ` : ${mix}` : ''}`;
+  },
+
   /**
    * Convert annual to monthly
    * @param {number} annual - Annual salary
@@ -108,10 +179,102 @@ const SalaryUtils = {
     return Math.round(monthly * months);
   },
 
+  /**
+   * Parse a France Travail salary string
+   * e.g. "Mensuel de 1900.00 Euros à 2150.00 Euros sur 13.0 mois", "Annuel de 28000,00 Euros",
+   * "De 29000,00 Euros à 29000,00 Euros" (no period: guessed from the amount)
+   * @param {string} raw - offer.salaryRaw
+   * @returns {object|null} null when unreadable, otherwise
+   *   { period: 'annual' | 'monthly' | 'hourly', periodInferred, min, max, months: number | null,
+   *     bonuses: string[], annualMin, annualMax } where annualMin/annualMax are gross annual euros
+   */
+  parseSalaryRaw(raw) {
+    if (!raw) return null;
+
+    const amount = '(\\d[\\d\\s.,]*?)\\s*(?:euros?|€)';
+    const match = new RegExp(
+      `^(?:(\\S+)\\s+)?de\\s+${amount}(?:\\s+à\\s+${amount})?(?:\\s+sur\\s+(\\d+(?:[.,]\\d+)?)\\s*mois)?(.*)$`,
+      'i'
+    ).exec(String(raw).replace(/\s+/g, ' ').trim());
+    if (!match) return null;
+
+    const [, label = '', first, second, months, rest] = match;
+    const values = [first, second || first].map(value => this.parseRawAmount(value));
+    if (values.some(value => !Number.isFinite(value))) return null;
+
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const stated = this.RAW_PERIODS[label.toLowerCase()];
+    const period = stated || this.inferPeriod(max);
+    const paidMonths = this.parseRawAmount(months);
+    const validMonths = paidMonths >= this.PAID_MONTHS.min && paidMonths <= this.PAID_MONTHS.max ? paidMonths : null;
+
+    return {
+      period,
+      periodInferred: !stated,
+      min,
+      max,
+      months: validMonths,
+      bonuses: this.parseBonuses(rest),
+      annualMin: Math.round(this.annualizeSalary(min, period, validMonths || 12)),
+      annualMax: Math.round(this.annualizeSalary(max, period, validMonths || 12))
+    };
+  },
+
+  /**
+   * Parse an amount written with French or English decimals ("28000,00", "1900.00", "28 000")
+   * @param {string} value - Amount text
+   * @returns {number} Amount (NaN when missing or unreadable)
+   */
+  parseRawAmount(value) {
+    if (!value) return NaN;
+    return Number(value.replace(/\s/g, '').replace(',', '.'));
+  },
+
+  /**
+   * Guess the period of an amount given without one ("De ..." and "Autre de ..." strings)
+   * @param {number} amount - Amount
+   * @returns {string} 'annual', 'monthly' or 'hourly'
+   */
+  inferPeriod(amount) {
+    if (amount >= 6000) return 'annual';
+    if (amount >= 300) return 'monthly';
+    return 'hourly';
+  },
+
+  /**
+   * Extra pay mentioned after the amounts, e.g. "+ primes, tickets restaurant"
+   * @param {string} text - Text following the amounts and months
+   * @returns {string[]} Bonus descriptions
+   */
+  parseBonuses(text) {
+    return (text || '')
+      .split(/\s*(?:[,;+]|\bet\b)\s*/i)
+      .map(part => part.replace(/^[\s.:-]+|[\s.:-]+$/g, ''))
+      .filter(Boolean);
+  },
+
+  /**
+   * Convert an amount paid per period to a gross annual salary
+   * @param {number} amount - Amount for one period
+   * @param {string} period - 'annual', 'monthly' or 'hourly'
+   * @param {number} months - Months paid per year (hourly: full-time months of HOURS_PER_MONTH hours)
+   * @returns {number} Gross annual salary
+   */
+  annualizeSalary(amount, period, months = 12) {
+    if (period === 'hourly') return amount * this.HOURS_PER_MONTH * months;
+    if (period === 'monthly') return amount * months;
+    return amount;
+  },
+
   /**
    * Calculate salary statistics for an array of values
+   * Percentiles are linearly interpolated (type 7, as in spreadsheets and d3.quantile);
+   * q1, median and q3 are P25, P50 and P75
+   * The median's confidence interval is left to getMedianCI: its bootstrap is only run for groups that show it
    * @param {number[]} salaries - Array of salary values
-   * @returns {object} Statistics object
+   * @returns {object|null} { count, min, max, mean, p10, q1, median, q3, p90, values, sufficient }
+   *   values are the salaries sorted ascending; null when there are no salaries
    */
   calculateStats(salaries) {
     const valid = salaries.filter(s => s !== null && s !== undefined && !isNaN(s));
@@ -119,18 +282,139 @@ const SalaryUtils = {
 
     const sorted = valid.sort((a, b) => a - b);
     const len = sorted.length;
+    const sufficient = len >= this.MIN_SAMPLE;
 
     return {
       count: len,
       min: sorted[0],
       max: sorted[len - 1],
-      median: len % 2 === 0
-        ? (sorted[len / 2 - 1] + sorted[len / 2]) / 2
-        : sorted[Math.floor(len / 2)],
-      q1: sorted[Math.floor(len * 0.25)],
-      q3: sorted[Math.floor(len * 0.75)],
-      mean: valid.reduce((a, b) => a + b, 0) / len
+      mean: valid.reduce((a, b) => a + b, 0) / len,
+      p10: this.percentile(sorted, 0.1),
+      q1: this.percentile(sorted, 0.25),
+      median: this.percentile(sorted, 0.5),
+      q3: this.percentile(sorted, 0.75),
+      p90: this.percentile(sorted, 0.9),
+      values: sorted,
+      sufficient
     };
+  },
+
+  /**
+   * Linearly interpolated percentile of sorted values
+   * @param {ArrayLike<number>} sorted - Values, sorted ascending
+   * @param {number} p - Percentile between 0 and 1
+   * @returns {number}
+   */
+  percentile(sorted, p) {
+    const h = (sorted.length - 1) * p;
+    const lo = Math.floor(h);
+    const hi = Math.min(lo + 1, sorted.length - 1);
+    return sorted[lo] + (h - lo) * (sorted[hi] - sorted[lo]);
+  },
+
+  /**
+   * Confidence interval of a group's median, bootstrapped on first use and kept on the stats
+   * @param {object|null} stats - Result of calculateStats()
+   * @returns {object|null} { low, high, level }, null below MIN_SAMPLE
+   */
+  getMedianCI(stats) {
+    if (!stats || !stats.sufficient) return null;
+    if (stats.medianCI === undefined) {
+      stats.medianCI = this.bootstrapMedianCI(stats.values);
+    }
+    return stats.medianCI;
+  },
+
+  /**
+   * Percentile bootstrap confidence interval of the median
+   * Resamples are drawn as indices into the sorted values, so each resample's median is found
+   * by counting indices instead of sorting
+   * @param {number[]} sorted - Salaries, sorted ascending
+   * @returns {object} { low, high, level }
+   */
+  bootstrapMedianCI(sorted) {
+    const n = sorted.length;
+    const random = this.createRandom(this.BOOTSTRAP_SEED);
+    const counts = new Uint32Array(n);
+    const medians = new Float64Array(this.BOOTSTRAP_RESAMPLES);
+
+    // Ranks of the middle value(s) in a sample of n
+    const lowRank = Math.floor((n - 1) / 2);
+    const highRank = Math.ceil((n - 1) / 2);
+
+    for (let b = 0; b < medians.length; b++) {
+      counts.fill(0);
+      for (let i = 0; i < n; i++) {
+        counts[Math.floor(random() * n)]++;
+      }
+
+      let seen = 0;
+      let low = null;
+      for (let i = 0; i < n; i++) {
+        seen += counts[i];
+        if (low === null && seen > lowRank) low = sorted[i];
+        if (seen > highRank) {
+          medians[b] = (low + sorted[i]) / 2;
+          break;
+        }
+      }
+    }
+
+    medians.sort();
+    const alpha = (1 - this.CONFIDENCE) / 2;
+    return {
+      low: this.percentile(medians, alpha),
+      high: this.percentile(medians, 1 - alpha),
+      level: this.CONFIDENCE
+    };
+  },
+
+  /**
+   * Seeded pseudo-random generator (mulberry32)
+   * @param {number} seed - 32-bit seed
+   * @returns {function(): number} Returns floats in [0, 1)
+   */
+  createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  },
+
+  /**
+   * Whether salary statistics rest on enough salaries to be shown
+   * @param {object|null} stats - Result of calculateStats()
+   * @returns {boolean}
+   */
+  isSufficient(stats) {
+    return Boolean(stats && stats.count >= this.MIN_SAMPLE);
+  },
+
+  /**
+   * Format a median, withheld below the minimum sample
+   * @param {object|null} stats - Result of calculateStats()
+   * @param {boolean} showNA - Short "NC" label when there are no salaries
+   * @returns {string} Currency, "échantillon insuffisant" or the no-data label
+   */
+  formatMedian(stats, showNA = false) {
+    if (stats && !this.isSufficient(stats)) return this.INSUFFICIENT_LABEL;
+    return this.formatCurrency(stats?.median, showNA);
+  },
+
+  /**
+   * Format a confidence interval
+   * @param {object|null} ci - { low, high, level }
+   * @param {function(number): number} convert - Applied to both bounds (e.g. the display conversion)
+   * @param {function(number): string} format - Formatter of one bound (defaults to currency)
+   * @returns {string} e.g. "IC 95 % : 24 000 € – 27 500 €", or '' without interval
+   */
+  formatConfidenceInterval(ci, convert = v => v, format = v => this.formatCurrency(v)) {
+    if (!ci) return '';
+    return `IC ${Math.round(ci.level * 100)} % : ${format(convert(ci.low))} – ${format(convert(ci.high))}`;
   }
 };
 
@@ -19,7 +19,7 @@ const SwipeNavigation = (function() {
   let isSwiping = false;
 
   // Tab order
-  const TAB_ORDER = ['overview', 'salaries', 'map', 'sectors', 'dossier'];
+  const TAB_ORDER = ['overview', 'salaries', 'map', 'compare', 'sectors', 'dossier'];
 
   /**
    * Initialize the component
@@ -77,6 +77,9 @@ const SwipeNavigation = (function() {
     // Don't track if touching a chart or map (allow panning)
     if (isChartOrMap(target)) return;
 
+    // Multi-touch is a pinch, never a swipe
+    if (e.touches.length > 1) return;
+
     startX = e.touches[0].clientX;
     startY = e.touches[0].clientY;
     startTime = Date.now();
@@ -90,6 +93,12 @@ const SwipeNavigation = (function() {
   function handleTouchMove(e) {
     if (!isTracking) return;
 
+    // A second finger turns the gesture into a pinch
+    if (e.touches.length > 1) {
+      isTracking = false;
+      return;
+    }
+
     const currentX = e.touches[0].clientX;
     const currentY = e.touches[0].clientY;
     const deltaX = currentX - startX;
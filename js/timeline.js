@@ -80,17 +80,48 @@ const Timeline = {
     if (!data) return;
 
     const offersByDate = DataProcessor.getOffersByDate();
+    const compareOffers = DataProcessor.getCompareOffers();
+    const compareByDate = compareOffers ? DataProcessor.getOffersByDate(compareOffers) : null;
 
-    // Get all dates and count offers
-    const dates = data.dates.sort();
-    const counts = dates.map(date => {
-      const offers = offersByDate[date] || [];
-      return offers.length;
-    });
+    // Get all dates within the active date range(s) and count offers
+    const inRange = filters => {
+      const { from, to } = filters?.dateRange || {};
+      return date => (!from || date >= from) && (!to || date <= to);
+    };
+    const inA = inRange(DataProcessor.filters);
+    const inB = compareByDate ? inRange(DataProcessor.compareFilters) : () => false;
+    const dates = data.dates.sort().filter(date => inA(date) || inB(date));
+    const count = byDate => dates.map(date => (byDate[date] || []).length);
 
     this.chart.data.labels = dates;
-    this.chart.data.datasets[0].data = counts;
+    this.chart.data.datasets[0].data = count(offersByDate);
+    this.setCompareSeries(compareByDate && count(compareByDate));
     this.chart.update();
+  },
+
+  /**
+   * Show or drop selection B's line over selection A's
+   * @param {Array<number>|null} counts - Offers per date of selection B, null when not comparing
+   */
+  setCompareSeries(counts) {
+    const datasets = this.chart.data.datasets;
+    this.chart.options.plugins.legend.display = Boolean(counts);
+
+    if (!counts) {
+      datasets.length = 1;
+      datasets[0].label = 'Nombre d\'offres';
+      return;
+    }
+
+    datasets[0].label = 'Sélection A';
+    datasets[1] = {
+      label: 'Sélection B',
+      data: counts,
+      borderColor: '#f59e0b',
+      backgroundColor: 'rgba(245, 158, 11, 0.1)',
+      fill: true,
+      tension: 0.3
+    };
   }
 };
 
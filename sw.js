@@ -41,9 +41,13 @@ if (workbox) {
 
   // 2. Static Assets (JS, CSS, Images, Fonts) - CacheFirst
   // These files are versioned via ?v=... in index.html, so cache them aggressively
+  // The data worker (js/data-worker.js) and its importScripts carry the same ?v=, but are not
+  // always 'script' requests: match the worker destination and any same-origin .js file
   registerRoute(
-    ({ request }) =>
+    ({ request, url, sameOrigin }) =>
       (request.destination === 'script' ||
+        request.destination === 'worker' ||
+        (sameOrigin && url.pathname.endsWith('.js')) ||
         request.destination === 'style' ||
         request.destination === 'image' ||
         request.destination === 'font') &&
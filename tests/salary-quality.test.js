@@ -0,0 +1,62 @@
+/**
+ * Fixture tests for SalaryQuality.check
+ * Offers around the SMIC floor and the ceiling, and the flag each must get
+ * Run with: node tests/salary-quality.test.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Load the browser modules as the page does, with a bare window global
+const context = { window: {} };
+vm.createContext(context);
+['salary-utils.js', 'salary-index.js', 'salary-quality.js'].forEach(file => {
+  vm.runInContext(fs.readFileSync(path.join(__dirname, '../js', file), 'utf8'), context);
+});
+const { SalaryQuality } = context.window;
+
+// SMIC of 2025: 11.88 € × 151.67 h × 12 = 21622.08 €, stored rounded to the euro
+const fixtures = [
+  {
+    name: 'exactly the SMIC, rounded',
+    offer: { date: '2025-03-01', salaryGrossAnnual: 21622, salaryRaw: 'Horaire de 11.88 Euros' },
+    expected: null
+  },
+  {
+    name: 'one euro under the rounded SMIC',
+    offer: { date: '2025-03-01', salaryGrossAnnual: 21621 },
+    expected: null
+  },
+  {
+    name: 'below the SMIC',
+    offer: { date: '2025-03-01', salaryGrossAnnual: 21000 },
+    expected: { issue: 'belowSmic', label: 'Sous le SMIC', action: 'excluded', original: 21000, corrected: null }
+  },
+  {
+    name: 'above the ceiling',
+    offer: { date: '2025-03-01', salaryGrossAnnual: 120000 },
+    expected: { issue: 'aboveCeiling', label: 'Au-dessus du plafond', action: 'excluded', original: 120000, corrected: null }
+  },
+  {
+    name: 'monthly amount labelled annual',
+    offer: { date: '2025-03-01', salaryGrossAnnual: 2000, salaryRaw: 'Annuel de 2000.00 Euros' },
+    expected: { issue: 'periodMismatch', label: 'Période incohérente', action: 'corrected', original: 2000, corrected: 24000 }
+  }
+];
+
+let failures = 0;
+fixtures.forEach(({ name, offer, expected }) => {
+  try {
+    // Round-trip through JSON: the result comes from another realm, so its objects have another prototype
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(SalaryQuality.check(offer))), expected);
+    console.log(`ok - ${name}`);
+  } catch (error) {
+    failures++;
+    console.error(`not ok - ${name}\n${error.message}`);
+  }
+});
+
+console.log(`${fixtures.length - failures}/${fixtures.length} passed`);
+process.exitCode = failures ? 1 : 0;
@@ -0,0 +1,84 @@
+/**
+ * Fixture tests for SalaryUtils.parseSalaryRaw
+ * Real France Travail salary strings and the gross annual ranges they must give
+ * Run with: node tests/salary-raw.test.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Load the browser module as the page does, with a bare window global
+const context = { window: {} };
+vm.createContext(context);
+vm.runInContext(fs.readFileSync(path.join(__dirname, '../js/salary-utils.js'), 'utf8'), context);
+const { SalaryUtils } = context.window;
+
+const fixtures = [
+  {
+    raw: 'Annuel de 28000,00 Euros à 33000,00 Euros',
+    expected: { period: 'annual', periodInferred: false, min: 28000, max: 33000, months: null, bonuses: [], annualMin: 28000, annualMax: 33000 }
+  },
+  {
+    raw: 'Mensuel de 1854.37 Euros sur 12 mois',
+    expected: { period: 'monthly', periodInferred: false, min: 1854.37, max: 1854.37, months: 12, bonuses: [], annualMin: 22252, annualMax: 22252 }
+  },
+  {
+    raw: 'Mensuel de 1900.0 Euros à 2100.0 Euros sur 13.5 mois',
+    expected: { period: 'monthly', periodInferred: false, min: 1900, max: 2100, months: 13.5, bonuses: [], annualMin: 25650, annualMax: 28350 }
+  },
+  {
+    raw: 'Horaire de 11.88 Euros',
+    expected: { period: 'hourly', periodInferred: false, min: 11.88, max: 11.88, months: null, bonuses: [], annualMin: 21622, annualMax: 21622 }
+  },
+  {
+    // No period: guessed from the amount
+    raw: 'De 29000,00 Euros à 29000,00 Euros',
+    expected: { period: 'annual', periodInferred: true, min: 29000, max: 29000, months: null, bonuses: [], annualMin: 29000, annualMax: 29000 }
+  },
+  {
+    // "Autre" is no period either
+    raw: 'Autre de 2500,00 Euros à 2800,00 Euros',
+    expected: { period: 'monthly', periodInferred: true, min: 2500, max: 2800, months: null, bonuses: [], annualMin: 30000, annualMax: 33600 }
+  },
+  {
+    // 0 months is not a number of months paid: a full year is assumed
+    raw: 'Horaire de 17.0 Euros sur 0.0 mois',
+    expected: { period: 'hourly', periodInferred: false, min: 17, max: 17, months: null, bonuses: [], annualMin: 30941, annualMax: 30941 }
+  },
+  {
+    raw: 'Mensuel de 2000.0 Euros sur 12.0 mois + primes, tickets restaurant et mutuelle',
+    expected: {
+      period: 'monthly',
+      periodInferred: false,
+      min: 2000,
+      max: 2000,
+      months: 12,
+      bonuses: ['primes', 'tickets restaurant', 'mutuelle'],
+      annualMin: 24000,
+      annualMax: 24000
+    }
+  },
+  {
+    // Period without amounts
+    raw: 'Annuel de',
+    expected: null
+  }
+];
+
+let failures = 0;
+fixtures.forEach(({ raw, expected }) => {
+  try {
+    // Round-trip through JSON: the result comes from another realm, so its arrays have another prototype
+    const result = JSON.parse(JSON.stringify(SalaryUtils.parseSalaryRaw(raw)));
+    assert.deepStrictEqual(result, expected);
+    console.log(`ok - ${raw}`);
+  } catch (error) {
+    failures++;
+    console.error(`not ok - ${raw}\n${error.message}`);
+  }
+});
+
+console.log(`${fixtures.length - failures}/${fixtures.length} passed`);
+process.exitCode = failures ? 1 : 0;